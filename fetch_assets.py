@@ -0,0 +1,55 @@
+# Download SolarHand's third-party assets for offline and air-gapped use
+# Run this once on a machine with internet access, then copy the folder
+# --manifest-only just refreshes the manifest's app list from js/
+
+import json
+import os
+import sys
+import urllib.request
+
+# Change to the script's directory
+os.chdir(os.path.dirname(os.path.abspath(__file__)))
+
+# Page shell precached alongside every module in js/
+APP_SHELL = ['./', 'index.html', 'styles.css', 'asset-manifest.json']
+
+with open('asset-manifest.json') as f:
+    manifest = json.load(f)
+
+# The service worker precaches the app list, so keep it in step with js/
+modules = sorted(name for name in os.listdir('js') if name.endswith('.js'))
+app = APP_SHELL + ['js/' + name for name in modules]
+if manifest['app'] != app:
+    manifest['app'] = app
+    with open('asset-manifest.json', 'w') as f:
+        f.write(json.dumps(manifest, indent=4, ensure_ascii=False) + '\n')
+    print(f"📝 App list updated ({len(modules)} modules)")
+
+if '--manifest-only' in sys.argv:
+    sys.exit(0)
+
+# Optional target folder, defaults to the manifest's local base
+args = [arg for arg in sys.argv[1:] if not arg.startswith('--')]
+local_base = args[0] if args else manifest['localBase']
+
+failed = []
+
+for name, package in manifest['packages'].items():
+    print(f"📦 {name}")
+    for file in package['files']:
+        url = package['cdn'] + file
+        target = os.path.join(local_base, package['local'], file)
+        os.makedirs(os.path.dirname(target), exist_ok=True)
+
+        try:
+            urllib.request.urlretrieve(url, target)
+            print(f"   ✓ {file}")
+        except Exception as error:
+            print(f"   ✗ {file} ({error})")
+            failed.append(url)
+
+if failed:
+    print(f"\n⚠️  {len(failed)} file(s) could not be downloaded - those will still load from the CDN")
+    sys.exit(1)
+
+print(f"\n✅ Assets saved to {local_base} - SolarHand will now load them locally")
@@ -0,0 +1,160 @@
+/**
+ * 🎯 Calibration
+ * Personal gesture thresholds, hand reach and sensitivities, saved per profile
+ */
+
+const STORAGE_KEY = 'solarhand.calibration';
+const FILE_VERSION = 1;
+
+const LONG_FINGERS = ['index', 'middle', 'ring', 'pinky'];
+
+// A full pinch-open sweep zooms by this many units, like the default on a typical hand
+const ZOOM_PER_PINCH_SWEEP = 15;
+const BASE_ROTATION_SENSITIVITY = 3;
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+function boundingArea(points) {
+    return {
+        minX: Math.min(...points.map(p => p.x)),
+        maxX: Math.max(...points.map(p => p.x)),
+        minY: Math.min(...points.map(p => p.y)),
+        maxY: Math.max(...points.map(p => p.y))
+    };
+}
+
+/**
+ * Turn the wizard's recorded hand measurements into gesture settings.
+ * Each pose is a list of measurements from GestureController.measureHand();
+ * corners holds one such list per corner, taken while pointing at it.
+ */
+export function deriveCalibration({ palm, fist, pinch, corners }) {
+    const curl = (samples, finger) => median(samples.map(s => s.curls[finger]));
+    
+    // Long fingers: halfway between the straightest clenched and the most bent open finger
+    const openCurl = Math.max(...LONG_FINGERS.map(f => curl(palm, f)));
+    const closedCurl = Math.min(...LONG_FINGERS.map(f => curl(fist, f)));
+    
+    const openThumbReach = median(palm.map(s => s.thumbReach));
+    const closedThumbReach = median(fist.map(s => s.thumbReach));
+    
+    // Pinch triggers a little above the user's closed pinch, well short of an open hand
+    const pinchedRatio = median(pinch.map(s => s.pinchRatio));
+    const openRatio = median(palm.map(s => s.pinchRatio));
+    const pinchThreshold = Math.min(pinchedRatio * 1.8, (pinchedRatio + openRatio) / 2);
+    
+    // Reachable area in the camera image: of the palm centre for whole-hand
+    // gestures, and of the index fingertip, which is what pointing follows
+    const activeArea = boundingArea(corners.flat().map(s => s.palmCenter));
+    const pointingArea = boundingArea(corners.flat().map(s => s.indexTip));
+    const span = ((activeArea.maxX - activeArea.minX) + (activeArea.maxY - activeArea.minY)) / 2;
+    
+    // Raw thumb-index distance swept between pinched and open
+    const pinchSweep = Math.max(0.01, median(palm.map(s => s.pinchDistance)) - median(pinch.map(s => s.pinchDistance)));
+    
+    return {
+        pinchThreshold: clamp(pinchThreshold, 0.15, 0.8),
+        fingerCurlThreshold: clamp((openCurl + closedCurl) / 2, 45, 200),
+        thumbCurlThreshold: clamp((curl(palm, 'thumb') + curl(fist, 'thumb')) / 2, 20, 120),
+        thumbReachThreshold: clamp((openThumbReach + closedThumbReach) / 2, 0.3, 1.2),
+        rotationSensitivity: clamp(BASE_ROTATION_SENSITIVITY / span, 1, 12),
+        zoomSensitivity: clamp(ZOOM_PER_PINCH_SWEEP / pinchSweep, 30, 400),
+        activeArea,
+        pointingArea
+    };
+}
+
+/**
+ * Check a wizard run produced enough spread to be usable. Returns an error message or null.
+ */
+export function checkCalibrationSamples({ palm, fist, pinch, corners }) {
+    if ([palm, fist, pinch, ...corners].some(samples => samples.length < 5)) {
+        return 'The hand was lost during a step';
+    }
+    
+    const curl = (samples) => median(samples.map(s => median(LONG_FINGERS.map(f => s.curls[f]))));
+    if (curl(fist) - curl(palm) < 60) {
+        return 'Palm and fist looked too similar';
+    }
+    
+    const area = boundingArea(corners.flat().map(s => s.indexTip));
+    if (area.maxX - area.minX < 0.15 || area.maxY - area.minY < 0.15) {
+        return 'Reach further towards the corners';
+    }
+    
+    return null;
+}
+
+export class CalibrationProfiles {
+    constructor() {
+        this.profiles = {};
+        this.active = null;
+        
+        this.load();
+    }
+    
+    getActive() {
+        return this.active ? this.profiles[this.active] : null;
+    }
+    
+    getActiveName() {
+        return this.active;
+    }
+    
+    getNames() {
+        return Object.keys(this.profiles);
+    }
+    
+    setActive(name) {
+        this.active = this.profiles[name] ? name : null;
+        this.save();
+    }
+    
+    saveProfile(name, calibration) {
+        this.profiles[name] = calibration;
+        this.active = name;
+        this.save();
+    }
+    
+    removeProfile(name) {
+        delete this.profiles[name];
+        if (this.active === name) {
+            this.active = null;
+        }
+        this.save();
+    }
+    
+    // Persistence
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (stored && stored.version === FILE_VERSION && stored.profiles) {
+                this.profiles = stored.profiles;
+                this.active = this.profiles[stored.active] ? stored.active : null;
+            }
+        } catch (error) {
+            console.warn('Could not load calibration profiles:', error);
+        }
+    }
+    
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                version: FILE_VERSION,
+                active: this.active,
+                profiles: this.profiles
+            }));
+        } catch (error) {
+            console.warn('Could not save calibration profiles:', error);
+        }
+    }
+}
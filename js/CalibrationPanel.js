@@ -0,0 +1,262 @@
+/**
+ * 🎯 Calibration Panel
+ * Guided wizard that measures the user's hand and saves a calibration profile
+ */
+
+import { deriveCalibration, checkCalibrationSamples } from './Calibration.js';
+
+const PREPARE_TIME = 2000; // ms to get into position
+const CAPTURE_TIME = 1500; // ms of frames recorded per step
+
+const POSE_STEPS = [
+    { pose: 'palm', icon: '🖐️', text: 'Show an open palm to the camera' },
+    { pose: 'fist', icon: '✊', text: 'Make a fist' },
+    { pose: 'pinch', icon: '🤏', text: 'Pinch your thumb and index finger together' }
+];
+
+const CORNER_STEPS = [
+    { corner: 'top-left', icon: '↖️', text: 'Point as far towards the top-left as is comfortable' },
+    { corner: 'top-right', icon: '↗️', text: 'Now the top-right' },
+    { corner: 'bottom-right', icon: '↘️', text: 'Now the bottom-right' },
+    { corner: 'bottom-left', icon: '↙️', text: 'And the bottom-left' }
+];
+
+export class CalibrationPanel {
+    constructor(gestureController, uiController) {
+        this.gestureController = gestureController;
+        this.profiles = gestureController.calibrationProfiles;
+        this.uiController = uiController;
+        
+        this.elements = {};
+        this.isOpen = false;
+        this.isBusy = false;
+        this.cancelled = false;
+        this.calibration = null;
+    }
+    
+    init() {
+        this.cacheElements();
+        this.bindEvents();
+        this.renderProfiles();
+    }
+    
+    cacheElements() {
+        this.elements = {
+            panel: document.getElementById('calibration-panel'),
+            close: document.getElementById('close-calibration'),
+            icon: document.getElementById('calibration-icon'),
+            instruction: document.getElementById('calibration-instruction'),
+            progress: document.getElementById('calibration-progress'),
+            summary: document.getElementById('calibration-summary'),
+            start: document.getElementById('calibration-start'),
+            deleteBtn: document.getElementById('calibration-delete'),
+            saveForm: document.getElementById('calibration-save-form'),
+            name: document.getElementById('calibration-name'),
+            dwell: document.getElementById('calibration-dwell'),
+            target: document.getElementById('calibration-target'),
+            profileSelect: document.getElementById('calibration-profile')
+        };
+    }
+    
+    bindEvents() {
+        this.elements.close.addEventListener('click', () => this.close());
+        this.elements.start.addEventListener('click', () => this.run());
+        this.elements.deleteBtn.addEventListener('click', () => this.deleteProfile());
+        this.elements.saveForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveProfile();
+        });
+        
+        this.elements.profileSelect.addEventListener('change', (e) => {
+            this.gestureController.useCalibrationProfile(e.target.value);
+            const name = this.profiles.getActiveName();
+            this.uiController.showNotification(name ? `🎯 Using profile "${name}"` : '🎯 Using default calibration');
+        });
+    }
+    
+    open() {
+        this.elements.panel.classList.remove('hidden');
+        this.isOpen = true;
+        this.showIntro();
+    }
+    
+    close() {
+        this.cancelled = true;
+        this.gestureController.frameCapture = null;
+        this.elements.target.classList.add('hidden');
+        this.elements.panel.classList.add('hidden');
+        this.isOpen = false;
+    }
+    
+    renderProfiles() {
+        const select = this.elements.profileSelect;
+        select.innerHTML = '';
+        
+        const options = [['', 'Default'], ...this.profiles.getNames().map(name => [name, name])];
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        
+        select.value = this.profiles.getActiveName() || '';
+    }
+    
+    showIntro() {
+        this.showStep('🎯', 'Hold your hand about where you normally use it. You\'ll show three poses, then point at the four corners.');
+        this.setProgress(0, 0);
+        this.elements.summary.classList.add('hidden');
+        this.elements.saveForm.classList.add('hidden');
+        this.elements.start.classList.remove('hidden');
+        this.elements.start.textContent = 'Start';
+        
+        // Only the active profile can be deleted from here
+        const active = this.profiles.getActiveName();
+        this.elements.deleteBtn.classList.toggle('hidden', !active);
+        this.elements.deleteBtn.textContent = active ? `Delete "${active}"` : 'Delete Profile';
+    }
+    
+    showStep(icon, text) {
+        this.elements.icon.textContent = icon;
+        this.elements.instruction.textContent = text;
+    }
+    
+    setProgress(fraction, duration) {
+        const bar = this.elements.progress;
+        bar.style.transition = duration ? `width ${duration}ms linear` : 'none';
+        bar.style.width = `${fraction * 100}%`;
+    }
+    
+    async run() {
+        if (this.isBusy) return;
+        
+        if (!this.gestureController.handTracker.isRunning) {
+            this.showStep('📷', 'Hand tracking is not available');
+            return;
+        }
+        
+        this.isBusy = true;
+        this.cancelled = false;
+        this.elements.start.classList.add('hidden');
+        this.elements.deleteBtn.classList.add('hidden');
+        this.elements.summary.classList.add('hidden');
+        this.elements.saveForm.classList.add('hidden');
+        
+        const samples = { palm: [], fist: [], pinch: [], corners: [] };
+        
+        for (const step of POSE_STEPS) {
+            const frames = await this.captureStep(step);
+            if (this.cancelled) break;
+            samples[step.pose] = frames;
+        }
+        
+        for (const step of CORNER_STEPS) {
+            if (this.cancelled) break;
+            this.showTarget(step.corner);
+            const frames = await this.captureStep(step);
+            samples.corners.push(frames);
+        }
+        
+        this.elements.target.classList.add('hidden');
+        this.isBusy = false;
+        if (this.cancelled) return;
+        
+        const problem = checkCalibrationSamples(samples);
+        if (problem) {
+            this.showStep('⚠️', `${problem} - let's try that again.`);
+            this.setProgress(0, 0);
+            this.elements.start.textContent = 'Retry';
+            this.elements.start.classList.remove('hidden');
+            return;
+        }
+        
+        this.calibration = deriveCalibration(samples);
+        this.showSummary();
+    }
+    
+    async captureStep(step) {
+        this.showStep(step.icon, step.text);
+        this.setProgress(0, 0);
+        
+        await this.wait(PREPARE_TIME);
+        if (this.cancelled) return [];
+        
+        // Record measurements while the bar fills
+        const frames = [];
+        this.gestureController.frameCapture = (landmarks) => {
+            frames.push(this.gestureController.measureHand(landmarks));
+        };
+        this.setProgress(1, CAPTURE_TIME);
+        
+        await this.wait(CAPTURE_TIME);
+        this.gestureController.frameCapture = null;
+        
+        return frames;
+    }
+    
+    showTarget(corner) {
+        const target = this.elements.target;
+        target.dataset.corner = corner;
+        target.classList.remove('hidden');
+    }
+    
+    showSummary() {
+        const c = this.calibration;
+        const rows = [
+            ['Pinch distance', `${c.pinchThreshold.toFixed(2)} palm`],
+            ['Finger bend', `${Math.round(c.fingerCurlThreshold)}°`],
+            ['Thumb bend', `${Math.round(c.thumbCurlThreshold)}°`],
+            ['Rotation sensitivity', c.rotationSensitivity.toFixed(1)],
+            ['Zoom sensitivity', Math.round(c.zoomSensitivity)],
+            ['Reach', `${Math.round((c.activeArea.maxX - c.activeArea.minX) * 100)}% × ${Math.round((c.activeArea.maxY - c.activeArea.minY) * 100)}% of camera`]
+        ];
+        
+        const summary = this.elements.summary;
+        summary.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            summary.append(dt, dd);
+        });
+        
+        this.showStep('✅', 'All done! Name this profile to save it.');
+        summary.classList.remove('hidden');
+        this.elements.saveForm.classList.remove('hidden');
+        this.elements.name.value = this.profiles.getActiveName() || '';
+        this.elements.name.focus();
+    }
+    
+    saveProfile() {
+        const name = this.elements.name.value.trim();
+        if (!this.calibration || !name) {
+            this.elements.name.focus();
+            return;
+        }
+        
+        this.calibration.selectDwell = parseInt(this.elements.dwell.value);
+        this.profiles.saveProfile(name, this.calibration);
+        this.gestureController.applyCalibration(this.calibration);
+        this.renderProfiles();
+        
+        this.uiController.showNotification(`🎯 Saved profile "${name}"`);
+        this.close();
+    }
+    
+    deleteProfile() {
+        const name = this.profiles.getActiveName();
+        if (!name) return;
+        
+        this.profiles.removeProfile(name);
+        this.gestureController.applyCalibration(null);
+        this.renderProfiles();
+        this.showIntro();
+        this.uiController.showNotification(`🎯 Deleted profile "${name}"`);
+    }
+    
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * 🎥 Camera Controller
+ * Angular momentum for the orbit camera, shared by hand, mouse and touch input
+ *
+ * While an input holds the camera, drags move it directly and its angular
+ * velocity is tracked. Released, the camera keeps spinning and slows down
+ * with exponential damping.
+ */
+
+const MIN_PHI = 0.1;
+const MAX_PHI = Math.PI - 0.1;
+const VELOCITY_SMOOTHING = 0.4;  // weight of each new drag in the velocity estimate
+const IDLE_RESET = 100;          // ms without drags after which a held camera has no velocity
+const STOP_SPEED = 0.01;         // rad/s below which the spin stops
+
+export class CameraController {
+    constructor(cameraOrbit) {
+        this.orbit = cameraOrbit;
+        
+        // rad/s
+        this.velocity = { theta: 0, phi: 0 };
+        this.held = false;
+        this.lastDragTime = 0;
+        
+        this.setInertia(0.5);
+    }
+    
+    /**
+     * 0 stops as soon as the input lets go, 1 coasts for several seconds.
+     */
+    setInertia(inertia) {
+        this.inertia = inertia;
+        // Damping rate per second: 30 (no coasting) down to 0.6
+        this.damping = 30 * Math.pow(0.02, inertia);
+    }
+    
+    grab() {
+        this.held = true;
+        this.velocity.theta = 0;
+        this.velocity.phi = 0;
+        this.lastDragTime = performance.now();
+    }
+    
+    /**
+     * Move the camera by an input's delta (radians) and sample its speed.
+     */
+    drag(deltaTheta, deltaPhi, now = performance.now()) {
+        if (!this.held) this.grab();
+        
+        this.rotate(deltaTheta, deltaPhi);
+        
+        const dt = Math.max(now - this.lastDragTime, 1) / 1000;
+        this.lastDragTime = now;
+        this.velocity.theta += (deltaTheta / dt - this.velocity.theta) * VELOCITY_SMOOTHING;
+        this.velocity.phi += (deltaPhi / dt - this.velocity.phi) * VELOCITY_SMOOTHING;
+    }
+    
+    /**
+     * Let go, keeping whatever speed the input had.
+     */
+    release() {
+        if (!this.held) return;
+        this.held = false;
+        
+        // Holding still before letting go means no spin
+        if (this.inertia === 0 || performance.now() - this.lastDragTime > IDLE_RESET) {
+            this.stop();
+        }
+    }
+    
+    /**
+     * Let go with an explicit angular velocity (rad/s).
+     */
+    fling(velocityTheta, velocityPhi) {
+        this.held = false;
+        this.velocity.theta = velocityTheta;
+        this.velocity.phi = velocityPhi;
+    }
+    
+    stop() {
+        this.velocity.theta = 0;
+        this.velocity.phi = 0;
+    }
+    
+    getSpeed() {
+        return Math.hypot(this.velocity.theta, this.velocity.phi);
+    }
+    
+    /**
+     * Advance the spin by `delta` seconds.
+     */
+    update(delta) {
+        if (this.held || this.getSpeed() === 0) return;
+        
+        this.rotate(this.velocity.theta * delta, this.velocity.phi * delta);
+        
+        const decay = Math.exp(-this.damping * delta);
+        this.velocity.theta *= decay;
+        this.velocity.phi *= decay;
+        
+        // Tilting into the pole stops the vertical spin
+        if (this.orbit.targetPhi <= MIN_PHI || this.orbit.targetPhi >= MAX_PHI) {
+            this.velocity.phi = 0;
+        }
+        
+        if (this.getSpeed() < STOP_SPEED) {
+            this.stop();
+        }
+    }
+    
+    rotate(deltaTheta, deltaPhi) {
+        this.orbit.targetTheta += deltaTheta;
+        this.orbit.targetPhi = Math.max(MIN_PHI, Math.min(MAX_PHI, this.orbit.targetPhi + deltaPhi));
+    }
+}
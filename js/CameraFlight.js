@@ -0,0 +1,132 @@
+/**
+ * 🛸 Camera Flight
+ * Eased camera move from the current view to a new position and look-at target
+ *
+ * The path is a cubic Bézier whose control points sit on the straight line
+ * between the two ends, lifted sideways. Without lift it is that straight
+ * line; the lift bends it into an arc, and is raised until the arc clears
+ * every obstacle. The destination is read again every frame, so a moving
+ * planet is met where it is rather than where it was at take-off.
+ */
+
+import * as THREE from 'three';
+
+const ARC_HEIGHT = 0.15;   // lift of an unobstructed path, as a fraction of its length
+const CLEARANCE = 2;       // obstacle radii the path keeps away from a body's centre
+const SAMPLES = 24;        // points checked along the path for collisions
+const MAX_LIFT_STEPS = 8;
+const LOOK_LEAD = 0.6;     // fraction of the flight spent turning toward the target
+
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+export class CameraFlight {
+    /**
+     * `destination(position, target)` fills in where the camera should end
+     * up and what it should look at. `obstacles` are { position, radius }
+     * spheres to fly around.
+     */
+    constructor({ position, target, destination, obstacles = [], duration = 2.5 }) {
+        this.start = position.clone();
+        this.startTarget = target.clone();
+        this.destination = destination;
+        this.duration = duration;
+        this.elapsed = 0;
+        this.finished = false;
+        
+        this.end = new THREE.Vector3();
+        this.endTarget = new THREE.Vector3();
+        destination(this.end, this.endTarget);
+        
+        // Current camera state along the flight
+        this.position = this.start.clone();
+        this.target = this.startTarget.clone();
+        
+        this.lift = new THREE.Vector3();
+        this.planPath(obstacles);
+    }
+    
+    /**
+     * Point `t` (0-1) of the way along the path.
+     * With control points at 1/3 and 2/3 of the straight line plus `lift`,
+     * the Bézier reduces to the line plus lift weighted by 3t(1 - t).
+     */
+    pointAt(t, out) {
+        return out.lerpVectors(this.start, this.end, t).addScaledVector(this.lift, 3 * t * (1 - t));
+    }
+    
+    planPath(obstacles) {
+        const direction = this.end.clone().sub(this.start);
+        const length = direction.length();
+        if (length === 0) return;
+        direction.divideScalar(length);
+        
+        // Bodies the camera starts or ends next to can't be avoided, only left or approached
+        const inTheWay = obstacles.filter(({ position, radius }) =>
+            this.start.distanceTo(position) > radius * CLEARANCE &&
+            this.end.distanceTo(position) > radius * CLEARANCE
+        );
+        
+        // A gentle upward arc, even with nothing in the way
+        this.lift.set(0, length * ARC_HEIGHT, 0);
+        this.perpendicular(this.lift, direction);
+        
+        for (let step = 0; step < MAX_LIFT_STEPS; step++) {
+            const hit = this.findCollision(inTheWay);
+            if (!hit) break;
+            
+            // Bend the arc away from the body it runs into
+            const away = hit.point.clone().sub(hit.obstacle.position);
+            this.perpendicular(away, direction);
+            if (away.lengthSq() === 0) {
+                away.set(0, 1, 0);
+                this.perpendicular(away, direction);
+            }
+            away.normalize();
+            
+            // The arc's middle moves by 3/4 of the lift
+            const shortfall = hit.obstacle.radius * CLEARANCE - hit.distance;
+            this.lift.addScaledVector(away, shortfall / 0.75 + hit.obstacle.radius);
+        }
+    }
+    
+    /**
+     * Remove the part of `vector` along the path, so lifting never speeds
+     * up or slows down the flight.
+     */
+    perpendicular(vector, direction) {
+        return vector.addScaledVector(direction, -vector.dot(direction));
+    }
+    
+    findCollision(obstacles) {
+        const point = new THREE.Vector3();
+        for (let i = 1; i < SAMPLES; i++) {
+            this.pointAt(i / SAMPLES, point);
+            for (const obstacle of obstacles) {
+                const distance = point.distanceTo(obstacle.position);
+                if (distance < obstacle.radius * CLEARANCE) {
+                    return { obstacle, point, distance };
+                }
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Advance the flight by `delta` seconds.
+     */
+    update(delta) {
+        this.elapsed = Math.min(this.elapsed + delta, this.duration);
+        const t = this.duration > 0 ? this.elapsed / this.duration : 1;
+        
+        this.destination(this.end, this.endTarget);
+        this.pointAt(easeInOutCubic(t), this.position);
+        
+        // Turn toward the destination early so the body is in view for the approach
+        const look = easeInOutCubic(Math.min(t / LOOK_LEAD, 1));
+        this.target.lerpVectors(this.startTarget, this.endTarget, look);
+        
+        this.finished = t >= 1;
+    }
+}
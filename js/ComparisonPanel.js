@@ -0,0 +1,298 @@
+/**
+ * ⚖️ Comparison Panel
+ * Two or more bodies side by side: a table of their stats, a bar chart of
+ * one measure and their spheres drawn to the same scale
+ */
+
+import { PLANET_DATA } from './data.js';
+import { COMPARISON_METRICS } from './PlanetStats.js';
+
+const MIN_BODIES = 2;
+const LOG_SCALE_RATIO = 1000;  // bars switch to a log scale beyond this spread of values
+const SIZES_WIDTH = 480;
+const SIZES_HEIGHT = 150;
+const SIZES_GAP = 8;           // px between spheres
+const MIN_SLOT = 44;           // px of width each body gets at least, so labels don't overlap
+const LABEL_HEIGHT = 20;       // px reserved under the spheres
+const RING_EXTENT = 2.2;       // ring radius in planet radii
+
+function toHex(color) {
+    return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+export class ComparisonPanel {
+    constructor(uiController) {
+        this.uiController = uiController;
+        
+        // Compared bodies, kept in PLANET_DATA order
+        this.bodies = [];
+        this.metric = 'diameter';
+        
+        this.elements = {};
+        this.isOpen = false;
+    }
+    
+    init() {
+        this.cacheElements();
+        this.populatePicker();
+        this.bindEvents();
+        
+        this.elements.sizes.width = SIZES_WIDTH;
+        this.elements.sizes.height = SIZES_HEIGHT;
+        this.ctx = this.elements.sizes.getContext('2d');
+    }
+    
+    cacheElements() {
+        this.elements = {
+            panel: document.getElementById('compare-panel'),
+            close: document.getElementById('close-compare'),
+            picker: document.getElementById('compare-picker'),
+            hint: document.getElementById('compare-hint'),
+            content: document.getElementById('compare-content'),
+            sizes: document.getElementById('compare-sizes'),
+            table: document.getElementById('compare-table'),
+            metric: document.getElementById('compare-metric'),
+            scale: document.getElementById('compare-scale'),
+            chart: document.getElementById('compare-chart')
+        };
+    }
+    
+    populatePicker() {
+        Object.entries(PLANET_DATA).forEach(([name, data]) => {
+            const button = document.createElement('button');
+            button.className = 'compare-chip';
+            button.dataset.planet = name;
+            button.textContent = `${data.icon} ${data.name}`;
+            this.elements.picker.appendChild(button);
+        });
+        
+        Object.entries(COMPARISON_METRICS).forEach(([value, metric]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = metric.label;
+            this.elements.metric.appendChild(option);
+        });
+        this.elements.metric.value = this.metric;
+    }
+    
+    bindEvents() {
+        this.elements.close.addEventListener('click', () => this.close());
+        
+        this.elements.picker.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-planet]');
+            if (button) this.toggleBody(button.dataset.planet);
+        });
+        
+        this.elements.metric.addEventListener('change', (e) => {
+            this.metric = e.target.value;
+            this.renderChart();
+        });
+    }
+    
+    open() {
+        this.elements.panel.classList.remove('hidden');
+        this.isOpen = true;
+        this.render();
+    }
+    
+    close() {
+        this.elements.panel.classList.add('hidden');
+        this.isOpen = false;
+    }
+    
+    /**
+     * Open with `planetName` among the compared bodies (next to Earth if
+     * it would be on its own).
+     */
+    compare(planetName) {
+        if (planetName && !this.bodies.includes(planetName)) {
+            this.setBodies([...this.bodies, planetName]);
+        }
+        if (this.bodies.length < MIN_BODIES) {
+            this.setBodies([...this.bodies, planetName === 'earth' ? 'sun' : 'earth']);
+        }
+        this.open();
+    }
+    
+    toggleBody(planetName) {
+        this.setBodies(this.bodies.includes(planetName) ?
+            this.bodies.filter(name => name !== planetName) :
+            [...this.bodies, planetName]);
+        this.render();
+    }
+    
+    setBodies(names) {
+        this.bodies = Object.keys(PLANET_DATA).filter(name => names.includes(name));
+    }
+    
+    render() {
+        this.elements.picker.querySelectorAll('[data-planet]').forEach(button => {
+            button.classList.toggle('active', this.bodies.includes(button.dataset.planet));
+        });
+        
+        const ready = this.bodies.length >= MIN_BODIES;
+        this.elements.hint.classList.toggle('hidden', ready);
+        this.elements.content.classList.toggle('hidden', !ready);
+        if (!ready) return;
+        
+        this.renderTable();
+        this.renderChart();
+        this.renderSizes();
+    }
+    
+    renderTable() {
+        const table = this.elements.table;
+        table.innerHTML = '';
+        
+        const header = table.insertRow();
+        header.appendChild(document.createElement('th'));
+        this.bodies.forEach(name => {
+            const cell = document.createElement('th');
+            cell.textContent = `${PLANET_DATA[name].icon} ${PLANET_DATA[name].name}`;
+            header.appendChild(cell);
+        });
+        
+        Object.values(COMPARISON_METRICS).forEach(metric => {
+            const row = table.insertRow();
+            const label = document.createElement('th');
+            label.textContent = metric.label;
+            row.appendChild(label);
+            
+            this.bodies.forEach(name => {
+                const value = metric.value(PLANET_DATA[name]);
+                row.insertCell().textContent = value === null ? '—' : metric.format(value);
+            });
+        });
+    }
+    
+    renderChart() {
+        const metric = COMPARISON_METRICS[this.metric];
+        const chartValue = metric.chartValue || (value => value);
+        const entries = this.bodies.map(name => {
+            const value = metric.value(PLANET_DATA[name]);
+            return { name, value, bar: value === null ? 0 : chartValue(value) };
+        });
+        
+        // A wide spread (the Sun's mass next to Mercury's) leaves the small bars
+        // invisible, so compare orders of magnitude instead
+        const positive = entries.map(entry => entry.bar).filter(bar => bar > 0);
+        const max = Math.max(...positive, 0);
+        const min = Math.min(...positive, max);
+        const logScale = min > 0 && max / min > LOG_SCALE_RATIO;
+        const width = bar => {
+            if (bar <= 0 || max <= 0) return 0;
+            if (!logScale) return bar / max;
+            // The smallest value keeps a short bar rather than none at all
+            return 0.05 + 0.95 * Math.log(bar / min) / Math.log(max / min);
+        };
+        
+        this.elements.scale.textContent = logScale ? 'log scale' : '';
+        this.elements.chart.replaceChildren(...entries.map(({ name, value, bar }) => {
+            const row = document.createElement('div');
+            row.className = 'compare-bar-row';
+            
+            const label = document.createElement('span');
+            label.className = 'compare-bar-label';
+            label.textContent = PLANET_DATA[name].icon;
+            label.title = PLANET_DATA[name].name;
+            
+            const track = document.createElement('div');
+            track.className = 'compare-bar-track';
+            const fill = document.createElement('div');
+            fill.className = 'compare-bar';
+            fill.style.width = `${width(bar) * 100}%`;
+            fill.style.background = toHex(PLANET_DATA[name].color);
+            track.appendChild(fill);
+            
+            const text = document.createElement('span');
+            text.className = 'compare-bar-value';
+            text.textContent = value === null ? '—' : metric.format(value);
+            
+            row.append(label, track, text);
+            return row;
+        }));
+    }
+    
+    /**
+     * The spheres in a row on one baseline, all at the same scale, so the
+     * Sun next to a planet really is that much bigger.
+     */
+    renderSizes() {
+        const ctx = this.ctx;
+        const { width, height } = this.elements.sizes;
+        ctx.clearRect(0, 0, width, height);
+        
+        const radii = this.bodies.map(name => PLANET_DATA[name].radiusKm);
+        // Half the width each body takes up, rings included
+        const extents = this.bodies.map((name, i) => radii[i] * (PLANET_DATA[name].rings ? RING_EXTENT : 1));
+        const gaps = SIZES_GAP * (this.bodies.length + 1);
+        const scale = this.fitScale(extents, width - gaps,
+            (height - LABEL_HEIGHT - SIZES_GAP) / (Math.max(...radii) * 2));
+        const slot = i => Math.max(extents[i] * scale * 2, MIN_SLOT);
+        const baseline = height - LABEL_HEIGHT;
+        
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        
+        // Centre the row
+        const total = this.bodies.reduce((sum, name, i) => sum + slot(i), gaps);
+        let x = (width - total) / 2 + SIZES_GAP;
+        this.bodies.forEach((name, i) => {
+            const data = PLANET_DATA[name];
+            const exact = radii[i] * scale;
+            // Keep tiny planets visible as a dot, without taking up more room
+            const radius = Math.max(exact, 1.5);
+            const cx = x + slot(i) / 2;
+            const cy = baseline - radius;
+            
+            // Lit from the upper left
+            const color = toHex(data.color);
+            const shading = ctx.createRadialGradient(cx - radius * 0.4, cy - radius * 0.4, radius * 0.1, cx, cy, radius);
+            shading.addColorStop(0, '#ffffff');
+            shading.addColorStop(0.25, color);
+            shading.addColorStop(1, '#000000');
+            
+            if (data.rings) {
+                this.drawRing(cx, cy, radius, color);
+            }
+            ctx.beginPath();
+            ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+            ctx.fillStyle = name === 'sun' ? color : shading;
+            ctx.fill();
+            
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.fillText(data.name, cx, height - 6);
+            
+            x += slot(i) + SIZES_GAP;
+        });
+    }
+    
+    /**
+     * Largest scale (px per km) at which the bodies fit `available` px of
+     * width, bodies too small for a full slot counting as MIN_SLOT wide.
+     */
+    fitScale(extents, available, maxScale) {
+        let scale = maxScale;
+        for (let i = 0; i < extents.length; i++) {
+            const small = extents.filter(extent => extent * scale * 2 < MIN_SLOT);
+            const large = extents.filter(extent => extent * scale * 2 >= MIN_SLOT);
+            const room = available - small.length * MIN_SLOT;
+            const needed = large.reduce((sum, extent) => sum + extent * 2, 0);
+            if (needed === 0 || needed * scale <= room) break;
+            scale = Math.max(room, 0) / needed;
+        }
+        return scale;
+    }
+    
+    drawRing(cx, cy, radius, color) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.beginPath();
+        ctx.ellipse(cx, cy, radius * RING_EXTENT, radius * 0.5, 0, 0, Math.PI * 2);
+        ctx.strokeStyle = color;
+        ctx.globalAlpha = 0.6;
+        ctx.lineWidth = Math.max(1, radius * 0.25);
+        ctx.stroke();
+        ctx.restore();
+    }
+}
@@ -0,0 +1,194 @@
+/**
+ * ✨ Custom Gesture Panel
+ * Record, bind, import and export user-trained gestures
+ */
+
+import { CUSTOM_GESTURE_ACTIONS } from './CustomGestures.js';
+
+const COUNTDOWN_SECONDS = 3;
+const RECORD_DURATION = 3000; // ms
+const MIN_SAMPLES = 10;
+
+export class CustomGesturePanel {
+    constructor(gestureController, uiController) {
+        this.gestureController = gestureController;
+        this.recognizer = gestureController.customGestures;
+        this.uiController = uiController;
+        
+        this.elements = {};
+        this.isOpen = false;
+        this.isBusy = false;
+    }
+    
+    init() {
+        this.cacheElements();
+        this.populateActions();
+        this.bindEvents();
+        this.renderList();
+    }
+    
+    cacheElements() {
+        this.elements = {
+            panel: document.getElementById('custom-gestures-panel'),
+            close: document.getElementById('close-custom-gestures'),
+            list: document.getElementById('custom-gesture-list'),
+            name: document.getElementById('custom-gesture-name'),
+            action: document.getElementById('custom-gesture-action'),
+            record: document.getElementById('custom-gesture-record'),
+            status: document.getElementById('custom-gesture-status'),
+            exportBtn: document.getElementById('custom-gesture-export'),
+            importInput: document.getElementById('custom-gesture-import')
+        };
+    }
+    
+    populateActions() {
+        Object.entries(CUSTOM_GESTURE_ACTIONS).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.elements.action.appendChild(option);
+        });
+    }
+    
+    bindEvents() {
+        this.elements.close.addEventListener('click', () => this.close());
+        this.elements.record.addEventListener('click', () => this.record());
+        this.elements.exportBtn.addEventListener('click', () => this.exportGestures());
+        this.elements.importInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importGestures(file);
+            e.target.value = '';
+        });
+        
+        // Delete buttons are re-rendered, so delegate
+        this.elements.list.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-remove]');
+            if (btn) {
+                this.recognizer.removeGesture(btn.dataset.remove);
+                this.renderList();
+            }
+        });
+    }
+    
+    open() {
+        this.elements.panel.classList.remove('hidden');
+        this.isOpen = true;
+    }
+    
+    close() {
+        this.elements.panel.classList.add('hidden');
+        this.isOpen = false;
+    }
+    
+    renderList() {
+        const list = this.elements.list;
+        list.innerHTML = '';
+        
+        const gestures = this.recognizer.getGestures();
+        if (gestures.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'custom-gesture-empty';
+            empty.textContent = 'No custom gestures yet';
+            list.appendChild(empty);
+            return;
+        }
+        
+        gestures.forEach(gesture => {
+            const item = document.createElement('li');
+            item.className = 'custom-gesture-item';
+            
+            const name = document.createElement('span');
+            name.className = 'custom-gesture-name';
+            name.textContent = gesture.name;
+            
+            const action = document.createElement('span');
+            action.className = 'custom-gesture-action';
+            action.textContent = CUSTOM_GESTURE_ACTIONS[gesture.action];
+            
+            const remove = document.createElement('button');
+            remove.className = 'close-btn';
+            remove.dataset.remove = gesture.id;
+            remove.title = 'Delete gesture';
+            remove.textContent = '✕';
+            
+            item.append(name, action, remove);
+            list.appendChild(item);
+        });
+    }
+    
+    setStatus(text) {
+        this.elements.status.textContent = text;
+    }
+    
+    async record() {
+        if (this.isBusy) return;
+        
+        const name = this.elements.name.value.trim();
+        const action = this.elements.action.value;
+        
+        if (!name) {
+            this.setStatus('Give the gesture a name first');
+            this.elements.name.focus();
+            return;
+        }
+        
+        if (!this.gestureController.handTracker.isRunning) {
+            this.setStatus('Hand tracking is not available');
+            return;
+        }
+        
+        this.isBusy = true;
+        this.elements.record.disabled = true;
+        
+        // Countdown so the user can get into position
+        for (let i = COUNTDOWN_SECONDS; i > 0; i--) {
+            this.setStatus(`Get ready... ${i}`);
+            await this.wait(1000);
+        }
+        
+        this.setStatus('Recording - hold the pose and move it around a little');
+        this.recognizer.startRecording();
+        await this.wait(RECORD_DURATION);
+        const samples = this.recognizer.stopRecording();
+        
+        this.isBusy = false;
+        this.elements.record.disabled = false;
+        
+        if (samples.length < MIN_SAMPLES) {
+            this.setStatus('Not enough hand frames captured - try again');
+            return;
+        }
+        
+        this.recognizer.addGesture(name, action, samples);
+        this.elements.name.value = '';
+        this.renderList();
+        this.setStatus(`Saved "${name}" (${samples.length} samples)`);
+    }
+    
+    exportGestures() {
+        const json = JSON.stringify(this.recognizer.toJSON(), null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.download = 'solarhand-gestures.json';
+        link.href = url;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    async importGestures(file) {
+        try {
+            const count = this.recognizer.importJSON(await file.text());
+            this.renderList();
+            this.uiController.showNotification(`✨ Imported ${count} gesture${count === 1 ? '' : 's'}`);
+        } catch (error) {
+            console.error('Gesture import failed:', error);
+            this.uiController.showNotification('⚠️ Could not import gestures');
+        }
+    }
+    
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
@@ -0,0 +1,216 @@
+/**
+ * ✨ Custom Gestures
+ * User-recorded hand poses, matched with a k-nearest-neighbour classifier
+ */
+
+const STORAGE_KEY = 'solarhand.customGestures';
+const FILE_VERSION = 1;
+
+// 20 landmarks (wrist excluded) × x, y, z
+export const FEATURE_LENGTH = 60;
+
+export const CUSTOM_GESTURE_ACTIONS = {
+    select: 'Select planet',
+    follow: 'Follow planet',
+    reset: 'Reset view',
+    screenshot: 'Screenshot',
+    toggleOrbits: 'Toggle orbits',
+    nextPlanet: 'Next planet'
+};
+
+/**
+ * Landmarks relative to the wrist, scaled by palm length and rotated
+ * so the wrist→middle knuckle line points up.
+ */
+export function toFeatureVector(landmarks) {
+    const wrist = landmarks[0];
+    const middleMcp = landmarks[9];
+    
+    const dx = middleMcp.x - wrist.x;
+    const dy = middleMcp.y - wrist.y;
+    const scale = Math.hypot(dx, dy) || 1;
+    
+    // Angle that maps the palm direction onto -y (up in image space)
+    const angle = Math.atan2(dx, -dy);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    
+    const features = [];
+    for (let i = 1; i < landmarks.length; i++) {
+        const x = (landmarks[i].x - wrist.x) / scale;
+        const y = (landmarks[i].y - wrist.y) / scale;
+        const z = ((landmarks[i].z || 0) - (wrist.z || 0)) / scale;
+        
+        features.push(x * cos + y * sin, -x * sin + y * cos, z);
+    }
+    
+    return features;
+}
+
+export class CustomGestureRecognizer {
+    constructor() {
+        this.gestures = [];
+        
+        // Classifier settings
+        this.k = 3;
+        this.matchThreshold = 0.25; // RMS distance in palm lengths
+        this.maxSamplesPerGesture = 40;
+        
+        // Recording state
+        this.isRecording = false;
+        this.recordedSamples = [];
+        
+        this.load();
+    }
+    
+    // Recording
+    startRecording() {
+        this.isRecording = true;
+        this.recordedSamples = [];
+    }
+    
+    addFrame(landmarks) {
+        if (!this.isRecording) return;
+        this.recordedSamples.push(toFeatureVector(landmarks));
+    }
+    
+    stopRecording() {
+        this.isRecording = false;
+        const samples = this.recordedSamples;
+        this.recordedSamples = [];
+        
+        // Evenly thin out long recordings
+        if (samples.length <= this.maxSamplesPerGesture) return samples;
+        
+        const stride = samples.length / this.maxSamplesPerGesture;
+        return Array.from({ length: this.maxSamplesPerGesture }, (_, i) => samples[Math.floor(i * stride)]);
+    }
+    
+    // Gesture management
+    addGesture(name, action, samples) {
+        const gesture = {
+            id: `g${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name,
+            action,
+            samples
+        };
+        
+        this.gestures.push(gesture);
+        this.save();
+        return gesture;
+    }
+    
+    removeGesture(id) {
+        this.gestures = this.gestures.filter(g => g.id !== id);
+        this.save();
+    }
+    
+    getGestures() {
+        return this.gestures;
+    }
+    
+    /**
+     * Nearest-neighbour match. Returns { gesture, distance, confidence } or null.
+     * Confidence is 1 for an exact match and 0.5 at the match threshold,
+     * on the same scale as the built-in gesture scores.
+     */
+    classify(landmarks) {
+        if (this.gestures.length === 0) return null;
+        
+        const features = toFeatureVector(landmarks);
+        const neighbours = [];
+        
+        this.gestures.forEach(gesture => {
+            gesture.samples.forEach(sample => {
+                neighbours.push({ gesture, distance: this.rmsDistance(features, sample) });
+            });
+        });
+        
+        neighbours.sort((a, b) => a.distance - b.distance);
+        const nearest = neighbours.slice(0, this.k).filter(n => n.distance < this.matchThreshold);
+        if (nearest.length === 0) return null;
+        
+        // Majority vote among the close neighbours
+        const votes = new Map();
+        nearest.forEach(n => votes.set(n.gesture, (votes.get(n.gesture) || 0) + 1));
+        const [gesture] = [...votes.entries()].sort((a, b) => b[1] - a[1])[0];
+        
+        const distance = nearest.find(n => n.gesture === gesture).distance;
+        return {
+            gesture,
+            distance,
+            confidence: 1 - distance / (2 * this.matchThreshold)
+        };
+    }
+    
+    rmsDistance(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            const d = a[i] - b[i];
+            sum += d * d;
+        }
+        return Math.sqrt(sum / a.length);
+    }
+    
+    // Persistence
+    load() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            if (stored) {
+                this.gestures = this.validate(JSON.parse(stored));
+            }
+        } catch (error) {
+            console.warn('Could not load custom gestures:', error);
+            this.gestures = [];
+        }
+    }
+    
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.toJSON()));
+        } catch (error) {
+            console.warn('Could not save custom gestures:', error);
+        }
+    }
+    
+    toJSON() {
+        return {
+            version: FILE_VERSION,
+            gestures: this.gestures
+        };
+    }
+    
+    /**
+     * Merge gestures from an exported file. Returns the number imported.
+     */
+    importJSON(text) {
+        const imported = this.validate(JSON.parse(text));
+        if (imported.length === 0) {
+            throw new Error('No valid gestures in file');
+        }
+        
+        imported.forEach(gesture => {
+            const existing = this.gestures.findIndex(g => g.id === gesture.id);
+            if (existing > -1) {
+                this.gestures[existing] = gesture;
+            } else {
+                this.gestures.push(gesture);
+            }
+        });
+        
+        this.save();
+        return imported.length;
+    }
+    
+    validate(data) {
+        if (!data || !Array.isArray(data.gestures)) return [];
+        
+        return data.gestures.filter(g =>
+            g && typeof g.id === 'string' &&
+            typeof g.name === 'string' &&
+            CUSTOM_GESTURE_ACTIONS[g.action] &&
+            Array.isArray(g.samples) && g.samples.length > 0 &&
+            g.samples.every(s => Array.isArray(s) && s.length === FEATURE_LENGTH)
+        );
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * 🪐 Ephemeris
+ * Heliocentric planet positions from J2000 Keplerian orbital elements
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+const TWO_PI = Math.PI * 2;
+
+// Julian date of the J2000 epoch (2000-01-01 12:00 TT)
+export const J2000 = 2451545.0;
+
+// Mean motion in degrees per day of a body orbiting at 1 AU
+const GAUSSIAN_DAILY_MOTION = 0.9856076686;
+
+export function toJulianDate(date) {
+    return date.getTime() / 86400000 + 2440587.5;
+}
+
+export function fromJulianDate(julianDate) {
+    return new Date((julianDate - 2440587.5) * 86400000);
+}
+
+/**
+ * Solve Kepler's equation M = E - e·sin(E) for the eccentric anomaly E.
+ * Angles in radians.
+ */
+export function solveKepler(meanAnomaly, eccentricity) {
+    let E = eccentricity < 0.8 ? meanAnomaly : Math.PI;
+    
+    // Newton-Raphson converges in a few steps for planetary eccentricities
+    for (let i = 0; i < 10; i++) {
+        const dE = (E - eccentricity * Math.sin(E) - meanAnomaly) /
+                   (1 - eccentricity * Math.cos(E));
+        E -= dE;
+        if (Math.abs(dE) < 1e-8) break;
+    }
+    
+    return E;
+}
+
+export function getMeanAnomaly(elements, semiMajorAxis, julianDate) {
+    const meanMotion = GAUSSIAN_DAILY_MOTION / Math.pow(semiMajorAxis, 1.5);
+    const M = (elements.meanAnomaly + meanMotion * (julianDate - J2000)) * DEG_TO_RAD;
+    
+    // Wrap to [-π, π] so Newton-Raphson starts close to the root
+    return M - TWO_PI * Math.round(M / TWO_PI);
+}
+
+/**
+ * Position in AU for the given Julian date, in scene axes
+ * (ecliptic plane is XZ, north ecliptic pole is +Y).
+ */
+export function getHeliocentricPosition(elements, semiMajorAxis, julianDate, target = {}) {
+    const e = elements.eccentricity;
+    const M = getMeanAnomaly(elements, semiMajorAxis, julianDate);
+    const E = solveKepler(M, e);
+    
+    // Position within the orbital plane, perihelion on +x
+    const xOrbit = semiMajorAxis * (Math.cos(E) - e);
+    const yOrbit = semiMajorAxis * Math.sqrt(1 - e * e) * Math.sin(E);
+    
+    return orbitalPlaneToScene(elements, xOrbit, yOrbit, target);
+}
+
+/**
+ * Closed ellipse for an orbit in AU, as a flat [x, y, z, ...] array.
+ */
+export function getOrbitPath(elements, semiMajorAxis, segments = 256) {
+    const e = elements.eccentricity;
+    const b = semiMajorAxis * Math.sqrt(1 - e * e);
+    const positions = new Float32Array(segments * 3);
+    const point = {};
+    
+    for (let i = 0; i < segments; i++) {
+        const E = (i / segments) * TWO_PI;
+        orbitalPlaneToScene(
+            elements,
+            semiMajorAxis * (Math.cos(E) - e),
+            b * Math.sin(E),
+            point
+        );
+        positions[i * 3] = point.x;
+        positions[i * 3 + 1] = point.y;
+        positions[i * 3 + 2] = point.z;
+    }
+    
+    return positions;
+}
+
+function orbitalPlaneToScene(elements, xOrbit, yOrbit, target) {
+    const w = elements.argPerihelion * DEG_TO_RAD;
+    const node = elements.ascendingNode * DEG_TO_RAD;
+    const inc = elements.inclination * DEG_TO_RAD;
+    
+    const cosW = Math.cos(w), sinW = Math.sin(w);
+    const cosN = Math.cos(node), sinN = Math.sin(node);
+    const cosI = Math.cos(inc), sinI = Math.sin(inc);
+    
+    // Rotate into heliocentric ecliptic coordinates
+    const x = (cosW * cosN - sinW * sinN * cosI) * xOrbit + (-sinW * cosN - cosW * sinN * cosI) * yOrbit;
+    const y = (cosW * sinN + sinW * cosN * cosI) * xOrbit + (-sinW * sinN + cosW * cosN * cosI) * yOrbit;
+    const z = (sinW * sinI) * xOrbit + (cosW * sinI) * yOrbit;
+    
+    // Ecliptic (x, y, z) -> scene (x, z, -y), keeping prograde motion counter-clockwise from above
+    target.x = x;
+    target.y = z;
+    target.z = -y;
+    
+    return target;
+}
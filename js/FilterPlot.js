@@ -0,0 +1,107 @@
+/**
+ * 📉 Filter Plot
+ * Debug graph of raw vs. smoothed index fingertip position
+ */
+
+const WINDOW = 3000;     // ms of history shown
+const LANDMARK = 8;      // index fingertip
+const AXES = ['x', 'y'];
+
+const COLORS = {
+    raw: 'rgba(255, 149, 0, 0.7)',
+    filtered: 'rgb(0, 245, 255)'
+};
+
+export class FilterPlot {
+    constructor() {
+        this.element = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.visible = false;
+        this.source = null;
+        this.samples = [];
+        
+        this.onSmoothed = this.onSmoothed.bind(this);
+    }
+    
+    init() {
+        this.element = document.getElementById('filter-plot');
+        this.canvas = this.element.querySelector('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.canvas.width = 240;
+        this.canvas.height = 120;
+    }
+    
+    setSource(source) {
+        if (this.source) {
+            this.source.off('smoothed', this.onSmoothed);
+        }
+        this.source = source;
+        this.samples = [];
+        source.on('smoothed', this.onSmoothed);
+    }
+    
+    setVisible(visible) {
+        this.visible = visible;
+        this.samples = [];
+        this.element.classList.toggle('hidden', !visible);
+    }
+    
+    onSmoothed({ raw, filtered, time }) {
+        if (!this.visible) return;
+        
+        // Copy now - the filtered landmarks are updated in place
+        this.samples.push({
+            time,
+            raw: { x: raw[LANDMARK].x, y: raw[LANDMARK].y },
+            filtered: { x: filtered[LANDMARK].x, y: filtered[LANDMARK].y }
+        });
+        
+        while (this.samples.length && this.samples[0].time < time - WINDOW) {
+            this.samples.shift();
+        }
+    }
+    
+    /**
+     * Call once per rendered frame.
+     */
+    draw(now = performance.now()) {
+        if (!this.visible) return;
+        
+        const { ctx, canvas } = this;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        
+        // One lane per axis, each scaled to its own range
+        const laneHeight = canvas.height / AXES.length;
+        AXES.forEach((axis, lane) => {
+            const values = this.samples.flatMap(s => [s.raw[axis], s.filtered[axis]]);
+            const min = Math.min(...values);
+            const range = Math.max(Math.max(...values) - min, 0.01);
+            const top = lane * laneHeight;
+            
+            const toPoint = (sample, key) => [
+                canvas.width - (now - sample.time) / WINDOW * canvas.width,
+                top + laneHeight - 4 - (sample[key][axis] - min) / range * (laneHeight - 8)
+            ];
+            
+            ['raw', 'filtered'].forEach(key => {
+                ctx.strokeStyle = COLORS[key];
+                ctx.lineWidth = key === 'filtered' ? 2 : 1;
+                ctx.beginPath();
+                this.samples.forEach((sample, i) => {
+                    const [x, y] = toPoint(sample, key);
+                    if (i === 0) {
+                        ctx.moveTo(x, y);
+                    } else {
+                        ctx.lineTo(x, y);
+                    }
+                });
+                ctx.stroke();
+            });
+            
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.font = '10px sans-serif';
+            ctx.fillText(axis, 4, top + 12);
+        });
+    }
+}
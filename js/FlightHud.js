@@ -0,0 +1,48 @@
+/**
+ * 🧭 Flight HUD
+ * Speed and distance to the nearest body while in free flight
+ */
+
+import { PLANET_DATA, KM_PER_AU } from './data.js';
+
+const REFRESH_INTERVAL = 200; // ms
+const KM_BELOW = 0.01;        // AU - shorter distances are shown in km
+
+export class FlightHud {
+    constructor(solarSystem) {
+        this.solarSystem = solarSystem;
+        this.element = null;
+        this.fields = {};
+        this.lastRefresh = 0;
+    }
+    
+    init() {
+        this.element = document.getElementById('flight-hud');
+        this.element.querySelectorAll('[data-field]').forEach(field => {
+            this.fields[field.dataset.field] = field;
+        });
+    }
+    
+    update(now = performance.now()) {
+        const flying = this.solarSystem.cameraMode === 'free';
+        this.element.classList.toggle('hidden', !flying);
+        if (!flying || now - this.lastRefresh < REFRESH_INTERVAL) return;
+        this.lastRefresh = now;
+        
+        // Earth's orbit as the yardstick keeps the numbers sensible in either scale
+        const unitsPerAU = this.solarSystem.getOrbitDistance('earth');
+        const flight = this.solarSystem.freeFlight;
+        const { name, distance } = flight.nearest;
+        
+        this.fields.speed.textContent = `${this.formatDistance(flight.getSpeed() / unitsPerAU)}/s`;
+        this.fields.nearest.textContent = name ? PLANET_DATA[name].name : '—';
+        this.fields.distance.textContent = this.formatDistance(Math.max(0, distance) / unitsPerAU);
+    }
+    
+    formatDistance(au) {
+        if (au < KM_BELOW) {
+            return `${Math.round(au * KM_PER_AU).toLocaleString()} km`;
+        }
+        return `${au.toFixed(2)} AU`;
+    }
+}
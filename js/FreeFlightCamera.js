@@ -0,0 +1,149 @@
+/**
+ * 🚀 Free Flight Camera
+ * Six degrees of freedom: move anywhere through the system and face any way
+ *
+ * Keyboard and hand input set movement and turn rates, mouse-look turns
+ * directly. Cruise speed scales with the distance to the nearest surface,
+ * so crossing the system is quick and approaching a planet slows down
+ * on its own.
+ */
+
+import * as THREE from 'three';
+
+const ACCELERATION = 4;      // 1/s - how quickly the velocity follows the controls
+const CRUISE_RATE = 0.8;     // speed per unit of distance to the nearest surface
+const MIN_SPEED = 0.0001;    // units/s
+const MAX_SPEED = 400;
+const BOOST = 4;
+const TURN_RATE = 1.2;       // rad/s at full hand tilt
+const ROLL_RATE = 1.5;       // rad/s
+const LOOK_SENSITIVITY = 0.5;
+const SURFACE_MARGIN = 1.2;  // body radii the camera is kept away from each centre
+
+const X_AXIS = new THREE.Vector3(1, 0, 0);
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+export class FreeFlightCamera {
+    /**
+     * `getBodies()` returns the { name, position, radius } of everything
+     * the camera can run into.
+     */
+    constructor(camera, getBodies) {
+        this.camera = camera;
+        this.getBodies = getBodies;
+        
+        this.position = new THREE.Vector3();
+        this.orientation = new THREE.Quaternion();
+        this.velocity = new THREE.Vector3();
+        
+        // Keyboard: each axis -1 to 1
+        this.movement = { forward: 0, strafe: 0, lift: 0, roll: 0, boost: false };
+        // Hand: thrust and turn rates, -1 to 1
+        this.hand = { thrust: 0, yaw: 0, pitch: 0 };
+        
+        this.nearest = { name: null, distance: Infinity };
+    }
+    
+    /**
+     * Take off from wherever the camera is, facing the same way.
+     */
+    enter() {
+        this.position.copy(this.camera.position);
+        this.orientation.copy(this.camera.quaternion);
+        this.velocity.set(0, 0, 0);
+        this.hand = { thrust: 0, yaw: 0, pitch: 0 };
+        this.updateNearest();
+    }
+    
+    setMovement(movement) {
+        Object.assign(this.movement, movement);
+    }
+    
+    setHandControl(thrust, yaw, pitch) {
+        this.hand.thrust = thrust;
+        this.hand.yaw = yaw;
+        this.hand.pitch = pitch;
+    }
+    
+    /**
+     * Mouse-look by a drag (radians): right turns right, up looks up.
+     */
+    look(deltaX, deltaY) {
+        this.turn(-deltaX * LOOK_SENSITIVITY, -deltaY * LOOK_SENSITIVITY, 0);
+    }
+    
+    turn(yaw, pitch, roll) {
+        // Around the camera's own axes, so "up" is always the top of the screen
+        const step = new THREE.Quaternion();
+        this.orientation.multiply(step.setFromAxisAngle(Y_AXIS, yaw));
+        this.orientation.multiply(step.setFromAxisAngle(X_AXIS, pitch));
+        this.orientation.multiply(step.setFromAxisAngle(Z_AXIS, roll));
+        this.orientation.normalize();
+    }
+    
+    getSpeed() {
+        return this.velocity.length();
+    }
+    
+    /**
+     * A point straight ahead, for handing the view over to another camera.
+     */
+    getLookTarget() {
+        const ahead = Math.max(this.position.length(), 1);
+        return new THREE.Vector3(0, 0, -ahead).applyQuaternion(this.orientation).add(this.position);
+    }
+    
+    updateNearest() {
+        this.nearest = { name: null, distance: Infinity };
+        this.getBodies().forEach(({ name, position, radius }) => {
+            const distance = this.position.distanceTo(position) - radius;
+            if (distance < this.nearest.distance) {
+                this.nearest = { name, distance };
+            }
+        });
+    }
+    
+    /**
+     * Advance by `delta` seconds and move the camera.
+     */
+    update(delta) {
+        const { movement, hand } = this;
+        
+        this.turn(hand.yaw * TURN_RATE * delta, hand.pitch * TURN_RATE * delta, movement.roll * ROLL_RATE * delta);
+        
+        // Desired velocity in camera space (three.js cameras look down -Z)
+        const forward = Math.max(-1, Math.min(1, movement.forward + hand.thrust));
+        const desired = new THREE.Vector3(movement.strafe, movement.lift, -forward);
+        if (desired.lengthSq() > 1) desired.normalize();
+        
+        const cruise = Math.max(MIN_SPEED, Math.min(MAX_SPEED, this.nearest.distance * CRUISE_RATE));
+        desired.multiplyScalar(cruise * (movement.boost ? BOOST : 1)).applyQuaternion(this.orientation);
+        
+        this.velocity.lerp(desired, 1 - Math.exp(-ACCELERATION * delta));
+        this.position.addScaledVector(this.velocity, delta);
+        
+        this.keepClear();
+        this.updateNearest();
+        
+        this.camera.position.copy(this.position);
+        this.camera.quaternion.copy(this.orientation);
+    }
+    
+    keepClear() {
+        this.getBodies().forEach(({ position, radius }) => {
+            const offset = this.position.clone().sub(position);
+            const minDistance = radius * SURFACE_MARGIN;
+            const distance = offset.length();
+            if (distance >= minDistance || distance === 0) return;
+            
+            // Slide along the surface instead of going through it
+            offset.divideScalar(distance);
+            this.position.copy(position).addScaledVector(offset, minDistance);
+            const inward = this.velocity.dot(offset);
+            if (inward < 0) {
+                this.velocity.addScaledVector(offset, -inward);
+            }
+        });
+    }
+}
@@ -4,6 +4,9 @@
  */
 
 import { PLANET_DATA } from './data.js';
+import { CustomGestureRecognizer } from './CustomGestures.js';
+import { GestureStateMachine } from './GestureStateMachine.js';
+import { CalibrationProfiles } from './Calibration.js';
 
 // Hand landmark indices
 const LANDMARKS = {
@@ -30,6 +33,21 @@ const LANDMARKS = {
     PINKY_TIP: 20
 };
 
+// Joint chains used to measure how curled each finger is
+const FINGER_CHAINS = {
+    thumb: [LANDMARKS.THUMB_CMC, LANDMARKS.THUMB_MCP, LANDMARKS.THUMB_IP, LANDMARKS.THUMB_TIP],
+    index: [LANDMARKS.INDEX_MCP, LANDMARKS.INDEX_PIP, LANDMARKS.INDEX_DIP, LANDMARKS.INDEX_TIP],
+    middle: [LANDMARKS.MIDDLE_MCP, LANDMARKS.MIDDLE_PIP, LANDMARKS.MIDDLE_DIP, LANDMARKS.MIDDLE_TIP],
+    ring: [LANDMARKS.RING_MCP, LANDMARKS.RING_PIP, LANDMARKS.RING_DIP, LANDMARKS.RING_TIP],
+    pinky: [LANDMARKS.PINKY_MCP, LANDMARKS.PINKY_PIP, LANDMARKS.PINKY_DIP, LANDMARKS.PINKY_TIP]
+};
+
+// Checked in this order; the first gesture scoring at least 0.5 wins
+const GESTURE_PRIORITY = ['pinch', 'fist', 'point', 'time', 'palm'];
+
+// Landmark x and z are normalized to image width, y to height (640x480 input)
+const IMAGE_ASPECT = 640 / 480;
+
 export class GestureController {
     constructor(solarSystem, handTracker) {
         this.solarSystem = solarSystem;
@@ -40,6 +58,13 @@ export class GestureController {
         this.previousGesture = null;
         this.gestureStartTime = 0;
         this.gestureDuration = 0;
+        this.gestureConfidence = 0;
+        this.gestureScores = {};
+        this.gestureState = new GestureStateMachine();
+        
+        // Hold actions fire once when their hold time is reached
+        this.holdFired = false;
+        this.HOLD_TIMES = { fist: 500, palm: 1000 }; // ms
         
         // Hand position tracking
         this.handPosition = { x: 0.5, y: 0.5 };
@@ -58,24 +83,221 @@ export class GestureController {
         this.followingPlanet = null;
         this.hoverStartTime = 0;
         this.hoverDuration = 0;
+        this.selectDwell = 1500; // ms of pointing before a planet is selected
+        
+        // Pointer (fingertip or mouse) in screen pixels
+        this.pointer = null;
+        this.pointerSmoothing = 0.35; // 0 = frozen, 1 = raw fingertip
+        this.SNAP_RADIUS = 60; // px
         
         // Camera control
         this.rotationSensitivity = 3;
         this.zoomSensitivity = 100;
+        // User preference on top of the (calibrated) sensitivities
+        this.sensitivityScale = { rotation: 1, zoom: 1 };
+        this.ROTATION_DEADZONE = 0.01; // hand movement (image fraction) ignored as tremor
+        this.THROW_SPEED = 4; // rad/s - a flick faster than this sends the camera spinning
+        this.THROW_CATCH_DELAY = 300; // ms after a throw before hand movement catches the camera
+        
+        // Rotation grip: the deadzone centre, and the fastest flick since grabbing
+        this.rotationAnchor = null;
+        this.throwPeak = null;
+        this.thrownAt = null;
+        
+        // 'drag' follows hand movement; 'joystick' turns at a speed set by the
+        // hand's offset from where the gesture started
+        this.rotationMode = 'drag';
+        this.lastRotationTime = 0;
+        this.JOYSTICK_NEUTRAL = 0.04; // offset (image fraction) that doesn't turn
+        this.JOYSTICK_RANGE = 0.2;    // offset for full speed
+        this.JOYSTICK_SPEED = 2;      // rad/s at full deflection
+        
+        // Free flight: the hand is a flight stick, relative to the pose it started in
+        this.flightNeutral = null;
+        this.FLIGHT_THRUST_DEADZONE = 0.08; // change in apparent hand size ignored
+        this.FLIGHT_THRUST_RANGE = 0.35;    // change for full thrust
+        this.FLIGHT_TILT_DEADZONE = 0.1;    // radians
+        this.FLIGHT_TILT_RANGE = 0.6;
+        
+        // Part of the camera image the hand can comfortably reach, mapped to the full screen:
+        // of the palm centre, and of the index fingertip while pointing
+        this.activeArea = { minX: 0, maxX: 1, minY: 0, maxY: 1 };
+        this.pointingArea = { minX: 0, maxX: 1, minY: 0, maxY: 1 };
+        
+        // Raw landmark consumer (e.g. calibration) - bypasses gesture handling
+        this.frameCapture = null;
+        
+        // User-trained gestures
+        this.customGestures = new CustomGestureRecognizer();
+        this.activeCustomGesture = null;
+        this.CUSTOM_GESTURE_HOLD = 400; // ms before the bound action fires
+        
+        // Two-hand manipulation (previous frame's hand pair)
+        this.twoHandState = null;
+        this.twoHandRotationSensitivity = 1;
+        this.twoHandPanSensitivity = 1.5;
+        
+        // Time scrubbing (V sign + horizontal offset)
+        this.timeScrubOrigin = null;
+        this.timeScrubMaxRate = 3652.5; // days per second at full deflection
+        
+        // Guided tour playback (V sign swipe to skip, fist to pause)
+        this.tourActive = false;
+        this.TOUR_SKIP_OFFSET = 0.12; // fraction of the image width
         
         // Event callbacks
         this.callbacks = {
             gesture: [],
             planetSelected: [],
             planetFollowing: [],
-            cameraReset: []
+            cameraReset: [],
+            timeScrub: [],
+            customAction: [],
+            holdProgress: [],
+            pointer: [],
+            cameraThrown: [],
+            joystick: [],
+            tourControl: []
         };
         
-        // Gesture thresholds
-        this.PINCH_THRESHOLD = 0.08;
+        // Gesture thresholds (distances in palm lengths, angles in degrees)
+        this.PINCH_THRESHOLD = 0.4;
+        this.FINGER_CURL_THRESHOLD = 90;
+        this.THUMB_CURL_THRESHOLD = 50;
+        this.THUMB_REACH_THRESHOLD = 0.6;
+        this.V_SIGN_SPREAD = 1.5;
+        this.CURL_SOFTNESS = 30; // degrees either side of a threshold
+        this.RATIO_SOFTNESS = 0.15;
         this.FIST_THRESHOLD = 0.15;
         this.POINT_THRESHOLD = 0.1;
         this.PALM_THRESHOLD = 0.15;
+        this.TIME_SCRUB_DEADZONE = 0.03;
+        this.TIME_SCRUB_RANGE = 0.25;
+        this.TWO_HAND_ZOOM_DEADZONE = 0.005;
+        this.TWO_HAND_PAN_DEADZONE = 0.002;
+        
+        // Personal calibration overrides the defaults above
+        this.defaultCalibration = this.getCalibration();
+        this.calibrationProfiles = new CalibrationProfiles();
+        this.applyCalibration(this.calibrationProfiles.getActive());
+    }
+    
+    getCalibration() {
+        return {
+            pinchThreshold: this.PINCH_THRESHOLD,
+            fingerCurlThreshold: this.FINGER_CURL_THRESHOLD,
+            thumbCurlThreshold: this.THUMB_CURL_THRESHOLD,
+            thumbReachThreshold: this.THUMB_REACH_THRESHOLD,
+            rotationSensitivity: this.rotationSensitivity,
+            zoomSensitivity: this.zoomSensitivity,
+            selectDwell: this.selectDwell,
+            activeArea: { ...this.activeArea },
+            pointingArea: { ...this.pointingArea }
+        };
+    }
+    
+    applyCalibration(calibration) {
+        // Missing values (or no calibration at all) fall back to the defaults
+        const values = { ...this.defaultCalibration, ...calibration };
+        
+        this.PINCH_THRESHOLD = values.pinchThreshold;
+        this.FINGER_CURL_THRESHOLD = values.fingerCurlThreshold;
+        this.THUMB_CURL_THRESHOLD = values.thumbCurlThreshold;
+        this.THUMB_REACH_THRESHOLD = values.thumbReachThreshold;
+        this.rotationSensitivity = values.rotationSensitivity;
+        this.zoomSensitivity = values.zoomSensitivity;
+        this.selectDwell = values.selectDwell;
+        this.activeArea = { ...values.activeArea };
+        this.pointingArea = { ...values.pointingArea };
+    }
+    
+    useCalibrationProfile(name) {
+        this.calibrationProfiles.setActive(name);
+        this.applyCalibration(this.calibrationProfiles.getActive());
+    }
+    
+    processHands(hands) {
+        if (!hands || hands.length === 0) return;
+        
+        // Calibration and custom gesture recording take the first hand's raw
+        // frames, however many hands are in view
+        const capturing = this.frameCapture || this.customGestures.isRecording;
+        
+        if (hands.length >= 2 && !capturing && this.solarSystem.cameraMode !== 'free') {
+            this.processTwoHands(hands[0].landmarks, hands[1].landmarks);
+            return;
+        }
+        
+        // Back to one hand - single-hand gestures take over again
+        if (this.twoHandState) {
+            this.twoHandState = null;
+            this.gestureState.reset();
+            this.currentGesture = null;
+        }
+        this.processHand(hands[0].landmarks);
+    }
+    
+    processTwoHands(landmarksA, landmarksB) {
+        // Order hands left-to-right in the image so the line angle is stable
+        let centerA = this.getPalmCenter(landmarksA);
+        let centerB = this.getPalmCenter(landmarksB);
+        if (centerA.x > centerB.x) {
+            [centerA, centerB] = [centerB, centerA];
+        }
+        
+        const pair = {
+            distance: Math.hypot(centerB.x - centerA.x, centerB.y - centerA.y),
+            angle: Math.atan2(centerB.y - centerA.y, centerB.x - centerA.x),
+            midpoint: {
+                x: (centerA.x + centerB.x) / 2,
+                y: (centerA.y + centerB.y) / 2
+            }
+        };
+        
+        if (!this.twoHandState) {
+            this.startTwoHands();
+            this.twoHandState = pair;
+            return;
+        }
+        
+        const previous = this.twoHandState;
+        this.twoHandState = pair;
+        
+        // Hands apart = zoom in, together = zoom out
+        const ratio = previous.distance / pair.distance;
+        if (Math.abs(1 - ratio) > this.TWO_HAND_ZOOM_DEADZONE) {
+            this.solarSystem.setZoom(this.solarSystem.cameraOrbit.targetRadius * ratio);
+        }
+        
+        // Turning the line between the hands orbits the camera
+        let deltaAngle = pair.angle - previous.angle;
+        deltaAngle = Math.atan2(Math.sin(deltaAngle), Math.cos(deltaAngle));
+        this.solarSystem.adjustRotation(-deltaAngle * this.twoHandRotationSensitivity, 0);
+        
+        // Moving both hands together pans (image is mirrored horizontally)
+        const deltaX = pair.midpoint.x - previous.midpoint.x;
+        const deltaY = pair.midpoint.y - previous.midpoint.y;
+        if (Math.hypot(deltaX, deltaY) > this.TWO_HAND_PAN_DEADZONE) {
+            this.solarSystem.adjustPan(
+                deltaX * this.twoHandPanSensitivity,
+                deltaY * this.twoHandPanSensitivity
+            );
+        }
+    }
+    
+    startTwoHands() {
+        // Leave any single-hand gesture cleanly
+        if (this.currentGesture === 'time') {
+            this.endTimeScrub();
+        }
+        if (this.hoveredPlanet) {
+            this.solarSystem.highlightPlanet(null);
+            this.hoveredPlanet = null;
+        }
+        
+        this.gestureState.set('twoHand');
+        this.applyGestureState();
+        this.emit('gesture', 'twoHand', 1);
     }
     
     processHand(landmarks) {
@@ -91,24 +313,110 @@ export class GestureController {
             y: this.handPosition.y - this.previousHandPosition.y
         };
         
-        // Detect current gesture
-        const gesture = this.detectGesture(landmarks);
+        // Someone else wants the raw frames (calibration wizard)
+        if (this.frameCapture) {
+            this.frameCapture(landmarks);
+            return;
+        }
+        
+        // Recording a custom gesture - capture the pose and don't act on it
+        if (this.customGestures.isRecording) {
+            this.customGestures.addFrame(landmarks);
+            return;
+        }
+        
+        if (this.solarSystem.cameraMode === 'free') {
+            this.handleFreeFlight(landmarks);
+            return;
+        }
+        
+        // Guess this frame's gesture; a confident custom match takes priority
+        let guess = this.detectGesture(landmarks);
+        const scores = { ...this.gestureScores };
+        const custom = this.customGestures.classify(landmarks);
+        if (custom) {
+            guess = `custom:${custom.gesture.id}`;
+            scores[guess] = custom.confidence;
+        }
         
-        // Handle gesture changes
-        if (gesture !== this.currentGesture) {
-            this.previousGesture = this.currentGesture;
-            this.currentGesture = gesture;
-            this.gestureStartTime = Date.now();
+        // Only act on gestures that have settled over several frames
+        if (this.gestureState.update(guess, scores)) {
+            if (this.currentGesture === 'time') {
+                this.endTimeScrub();
+            }
+            this.applyGestureState();
             
-            if (gesture) {
-                this.emit('gesture', gesture);
+            if (custom && this.currentGesture === guess) {
+                this.activeCustomGesture = custom.gesture;
+            } else if (this.currentGesture) {
+                this.emit('gesture', this.currentGesture, this.gestureConfidence);
             }
         }
         
-        this.gestureDuration = Date.now() - this.gestureStartTime;
+        this.gestureConfidence = this.gestureState.confidence;
+        this.gestureDuration = this.gestureState.getDuration();
         
         // Process based on gesture
-        this.handleGesture(landmarks, gesture);
+        if (this.currentGesture) {
+            this.handleGesture(landmarks, this.currentGesture);
+        }
+    }
+    
+    applyGestureState() {
+        if (this.currentGesture === 'point') {
+            this.endPointing();
+        }
+        if (this.currentGesture === 'rotate') {
+            this.endRotation();
+        }
+        
+        this.previousGesture = this.gestureState.previousGesture;
+        this.currentGesture = this.gestureState.gesture;
+        this.gestureConfidence = this.gestureState.confidence;
+        this.gestureStartTime = this.gestureState.startTime;
+        this.gestureDuration = 0;
+        this.isPinching = this.currentGesture === 'pinch';
+        if (this.isPinching) {
+            this.basePinchDistance = this.solarSystem.cameraOrbit.radius;
+        }
+        if (this.currentGesture === 'rotate') {
+            this.beginRotation();
+        }
+        
+        // Every gesture starts a fresh hold
+        this.holdFired = false;
+        this.emit('holdProgress', null, 0);
+    }
+    
+    /**
+     * Measurements the calibration wizard derives personal thresholds from.
+     */
+    measureHand(landmarks) {
+        const palmSize = this.getPalmSize(landmarks);
+        const thumbTip = landmarks[LANDMARKS.THUMB_TIP];
+        const indexTip = landmarks[LANDMARKS.INDEX_TIP];
+        
+        return {
+            curls: Object.fromEntries(
+                Object.keys(FINGER_CHAINS).map(finger => [finger, this.getFingerCurl(landmarks, finger)])
+            ),
+            thumbReach: this.jointDistance(thumbTip, landmarks[LANDMARKS.INDEX_MCP]) / palmSize,
+            pinchRatio: this.jointDistance(thumbTip, indexTip) / palmSize,
+            pinchDistance: this.distance(thumbTip, indexTip),
+            palmCenter: this.getPalmCenter(landmarks),
+            indexTip: { x: indexTip.x, y: indexTip.y }
+        };
+    }
+    
+    toScreenPosition(point, area = this.activeArea) {
+        // Stretch the active area over the screen (camera image is mirrored)
+        const x = Math.max(0, Math.min(1, (point.x - area.minX) / (area.maxX - area.minX)));
+        const y = Math.max(0, Math.min(1, (point.y - area.minY) / (area.maxY - area.minY)));
+        
+        return {
+            x: (1 - x) * window.innerWidth,
+            y: y * window.innerHeight
+        };
     }
     
     getPalmCenter(landmarks) {
@@ -123,79 +431,152 @@ export class GestureController {
     }
     
     detectGesture(landmarks) {
-        // Get finger states
-        const thumbExtended = this.isThumbExtended(landmarks);
-        const indexExtended = this.isFingerExtended(landmarks, 'index');
-        const middleExtended = this.isFingerExtended(landmarks, 'middle');
-        const ringExtended = this.isFingerExtended(landmarks, 'ring');
-        const pinkyExtended = this.isFingerExtended(landmarks, 'pinky');
-        
         // Calculate pinch distance
         const thumbTip = landmarks[LANDMARKS.THUMB_TIP];
         const indexTip = landmarks[LANDMARKS.INDEX_TIP];
         this.previousPinchDistance = this.pinchDistance;
         this.pinchDistance = this.distance(thumbTip, indexTip);
         
-        // Pinch gesture (thumb and index close)
-        if (this.pinchDistance < this.PINCH_THRESHOLD) {
-            if (!this.isPinching) {
-                this.isPinching = true;
-                this.basePinchDistance = this.solarSystem.cameraOrbit.radius;
-            }
-            return 'pinch';
-        } else {
-            this.isPinching = false;
-        }
+        this.gestureScores = this.scoreGestures(landmarks);
         
-        // Fist gesture (all fingers closed)
-        if (!thumbExtended && !indexExtended && !middleExtended && !ringExtended && !pinkyExtended) {
-            return 'fist';
-        }
+        // Default rotation control
+        return GESTURE_PRIORITY.find(gesture => this.gestureScores[gesture] >= 0.5) || 'rotate';
+    }
+    
+    /**
+     * Confidence (0-1) for each built-in gesture, 0.5 being the decision threshold.
+     */
+    scoreGestures(landmarks) {
+        // Get finger states (1 = clearly extended, 0 = clearly curled)
+        const thumb = this.getFingerExtension(landmarks, 'thumb');
+        const index = this.getFingerExtension(landmarks, 'index');
+        const middle = this.getFingerExtension(landmarks, 'middle');
+        const ring = this.getFingerExtension(landmarks, 'ring');
+        const pinky = this.getFingerExtension(landmarks, 'pinky');
         
-        // Point gesture (only index extended)
-        if (indexExtended && !middleExtended && !ringExtended && !pinkyExtended) {
-            return 'point';
-        }
+        // Thumb and index close, relative to hand size
+        const pinchRatio = this.jointDistance(landmarks[LANDMARKS.THUMB_TIP], landmarks[LANDMARKS.INDEX_TIP]) /
+                           this.getPalmSize(landmarks);
         
-        // Open palm gesture (all fingers extended)
-        if (thumbExtended && indexExtended && middleExtended && ringExtended && pinkyExtended) {
-            return 'palm';
-        }
+        // A gesture is only as confident as its least certain finger
+        const scores = {
+            pinch: this.softBelow(pinchRatio, this.PINCH_THRESHOLD, this.RATIO_SOFTNESS),
+            fist: Math.min(1 - thumb, 1 - index, 1 - middle, 1 - ring, 1 - pinky),
+            point: Math.min(index, 1 - middle, 1 - ring, 1 - pinky),
+            time: Math.min(index, middle, 1 - ring, 1 - pinky, this.getVSignScore(landmarks)),
+            palm: Math.min(thumb, index, middle, ring, pinky)
+        };
+        scores.rotate = 1 - Math.max(...Object.values(scores));
         
-        // Default rotation control
-        return 'rotate';
+        return scores;
+    }
+    
+    softBelow(value, threshold, softness) {
+        // 1 well below the threshold, 0 well above, 0.5 exactly on it
+        return Math.max(0, Math.min(1, 0.5 + (threshold - value) / (2 * softness)));
     }
     
     isThumbExtended(landmarks) {
-        const thumbTip = landmarks[LANDMARKS.THUMB_TIP];
-        const thumbIp = landmarks[LANDMARKS.THUMB_IP];
-        const thumbMcp = landmarks[LANDMARKS.THUMB_MCP];
+        return this.getFingerExtension(landmarks, 'thumb') >= 0.5;
+    }
+    
+    isFingerExtended(landmarks, finger) {
+        return this.getFingerExtension(landmarks, finger) >= 0.5;
+    }
+    
+    getFingerExtension(landmarks, finger) {
+        // Angles don't depend on hand orientation, size or distance from the camera
+        const curl = this.getFingerCurl(landmarks, finger);
         
-        // Check if thumb is extended away from palm
-        const tipToIp = this.distance(thumbTip, thumbIp);
-        const ipToMcp = this.distance(thumbIp, thumbMcp);
+        if (finger === 'thumb') {
+            // Thumb is straight and reaches away from the index knuckle
+            const reach = this.jointDistance(landmarks[LANDMARKS.THUMB_TIP], landmarks[LANDMARKS.INDEX_MCP]) /
+                          this.getPalmSize(landmarks);
+            
+            return Math.min(
+                this.softBelow(curl, this.THUMB_CURL_THRESHOLD, this.CURL_SOFTNESS),
+                1 - this.softBelow(reach, this.THUMB_REACH_THRESHOLD, this.RATIO_SOFTNESS)
+            );
+        }
         
-        return tipToIp > 0.03 && tipToIp / ipToMcp > 0.5;
+        return this.softBelow(curl, this.FINGER_CURL_THRESHOLD, this.CURL_SOFTNESS);
     }
     
-    isFingerExtended(landmarks, finger) {
-        const fingerMap = {
-            'index': { tip: LANDMARKS.INDEX_TIP, pip: LANDMARKS.INDEX_PIP, mcp: LANDMARKS.INDEX_MCP },
-            'middle': { tip: LANDMARKS.MIDDLE_TIP, pip: LANDMARKS.MIDDLE_PIP, mcp: LANDMARKS.MIDDLE_MCP },
-            'ring': { tip: LANDMARKS.RING_TIP, pip: LANDMARKS.RING_PIP, mcp: LANDMARKS.RING_MCP },
-            'pinky': { tip: LANDMARKS.PINKY_TIP, pip: LANDMARKS.PINKY_PIP, mcp: LANDMARKS.PINKY_MCP }
-        };
+    getFingerCurl(landmarks, finger) {
+        const [base, joint1, joint2, tip] = FINGER_CHAINS[finger].map(i => landmarks[i]);
+        
+        const bone1 = this.vector(base, joint1);
+        const bone2 = this.vector(joint1, joint2);
+        const bone3 = this.vector(joint2, tip);
         
-        const indices = fingerMap[finger];
-        const tip = landmarks[indices.tip];
-        const pip = landmarks[indices.pip];
-        const mcp = landmarks[indices.mcp];
+        // Total bend along the chain in degrees
+        let curl = this.angleBetween(bone1, bone2) + this.angleBetween(bone2, bone3);
+        
+        // Long fingers also bend at the knuckle: the first bone's angle out of the
+        // palm plane (the thumb's CMC joint is too mobile for this). Spreading the
+        // fingers or tilting the whole hand stays in the plane and doesn't count.
+        if (finger !== 'thumb') {
+            curl += this.angleFromPlane(bone1, this.getPalmNormal(landmarks));
+        }
+        
+        return curl;
+    }
+    
+    getPalmNormal(landmarks) {
+        const wrist = landmarks[LANDMARKS.WRIST];
+        const u = this.vector(wrist, landmarks[LANDMARKS.INDEX_MCP]);
+        const v = this.vector(wrist, landmarks[LANDMARKS.PINKY_MCP]);
+        
+        return {
+            x: u.y * v.z - u.z * v.y,
+            y: u.z * v.x - u.x * v.z,
+            z: u.x * v.y - u.y * v.x
+        };
+    }
+    
+    angleFromPlane(vector, normal) {
+        // Either side of the plane; 0 when the plane is undefined (collapsed palm)
+        if (Math.hypot(normal.x, normal.y, normal.z) === 0) return 0;
+        return Math.abs(90 - this.angleBetween(vector, normal));
+    }
+    
+    getPalmSize(landmarks) {
+        // Wrist to middle knuckle - stable across finger poses
+        return this.jointDistance(landmarks[LANDMARKS.WRIST], landmarks[LANDMARKS.MIDDLE_MCP]) || 1;
+    }
+    
+    jointDistance(p1, p2) {
+        // Aspect-corrected, so the result doesn't change as the hand rotates
+        const v = this.vector(p1, p2);
+        return Math.hypot(v.x, v.y, v.z);
+    }
+    
+    vector(from, to) {
+        return {
+            x: (to.x - from.x) * IMAGE_ASPECT,
+            y: to.y - from.y,
+            z: ((to.z || 0) - (from.z || 0)) * IMAGE_ASPECT
+        };
+    }
+    
+    angleBetween(u, v) {
+        const dot = u.x * v.x + u.y * v.y + u.z * v.z;
+        const lengths = Math.hypot(u.x, u.y, u.z) * Math.hypot(v.x, v.y, v.z);
+        if (lengths === 0) return 0;
         
-        // Finger is extended if tip is further from wrist than pip
-        const tipY = tip.y;
-        const pipY = pip.y;
+        return Math.acos(Math.max(-1, Math.min(1, dot / lengths))) * 180 / Math.PI;
+    }
+    
+    isVSign(landmarks) {
+        return this.getVSignScore(landmarks) >= 0.5;
+    }
+    
+    getVSignScore(landmarks) {
+        // Fingertips spread wider than their knuckles
+        const tipSpread = this.distance(landmarks[LANDMARKS.INDEX_TIP], landmarks[LANDMARKS.MIDDLE_TIP]);
+        const knuckleSpread = this.distance(landmarks[LANDMARKS.INDEX_MCP], landmarks[LANDMARKS.MIDDLE_MCP]) || 1e-6;
         
-        return tipY < pipY - 0.02;
+        return 1 - this.softBelow(tipSpread / knuckleSpread, this.V_SIGN_SPREAD, this.RATIO_SOFTNESS * 2);
     }
     
     distance(p1, p2) {
@@ -206,9 +587,20 @@ export class GestureController {
     }
     
     handleGesture(landmarks, gesture) {
+        if (gesture.startsWith('custom:')) {
+            this.handleCustomGesture();
+            return;
+        }
+        
+        if (this.tourActive && this.handleTourGesture(gesture)) return;
+        
         switch (gesture) {
             case 'rotate':
-                this.handleRotation();
+                if (this.rotationMode === 'joystick') {
+                    this.handleJoystickRotation();
+                } else {
+                    this.handleRotation();
+                }
                 break;
             case 'pinch':
                 this.handlePinch(landmarks);
@@ -222,18 +614,199 @@ export class GestureController {
             case 'palm':
                 this.handlePalm();
                 break;
+            case 'time':
+                this.handleTimeScrub();
+                break;
+        }
+    }
+    
+    beginRotation() {
+        this.rotationAnchor = { ...this.handPosition };
+        this.lastRotationTime = performance.now();
+        this.throwPeak = null;
+        this.thrownAt = null;
+        this.solarSystem.cameraController.grab();
+        
+        if (this.rotationMode === 'joystick') {
+            this.emitJoystick(0);
+        }
+    }
+    
+    endRotation() {
+        const camera = this.solarSystem.cameraController;
+        this.rotationAnchor = null;
+        if (this.thrownAt === null) {
+            camera.release();
+        }
+        
+        if (this.rotationMode === 'joystick') {
+            // The joystick sets a turning speed rather than dragging, so letting go
+            // stops the turn instead of coasting on
+            camera.stop();
+            this.emit('joystick', null);
         }
     }
     
+    setSensitivity(rotation, zoom) {
+        this.sensitivityScale = { rotation, zoom };
+    }
+    
+    setRotationMode(mode) {
+        // Restart a rotation in progress under the new mapping
+        const rotating = this.currentGesture === 'rotate';
+        if (rotating) this.endRotation();
+        this.rotationMode = mode;
+        if (rotating) this.beginRotation();
+    }
+    
+    handleJoystickRotation() {
+        const now = performance.now();
+        const dt = Math.min((now - this.lastRotationTime) / 1000, 0.1);
+        this.lastRotationTime = now;
+        
+        const offsetX = this.handPosition.x - this.rotationAnchor.x;
+        const offsetY = this.handPosition.y - this.rotationAnchor.y;
+        const offset = Math.hypot(offsetX, offsetY);
+        const deflection = Math.max(0, Math.min(1,
+            (offset - this.JOYSTICK_NEUTRAL) / (this.JOYSTICK_RANGE - this.JOYSTICK_NEUTRAL)));
+        
+        // Squared, so small deflections allow fine adjustment
+        const step = deflection * deflection * this.JOYSTICK_SPEED * this.sensitivityScale.rotation * dt;
+        const camera = this.solarSystem.cameraController;
+        if (step > 0) {
+            camera.drag(-offsetX / offset * step, offsetY / offset * step, now);
+        } else {
+            camera.drag(0, 0, now);
+        }
+        
+        this.emitJoystick(deflection);
+    }
+    
+    emitJoystick(deflection) {
+        // Ring geometry in screen pixels for the on-screen joystick
+        const scale = window.innerWidth / (this.activeArea.maxX - this.activeArea.minX);
+        
+        this.emit('joystick', {
+            center: this.toScreenPosition(this.rotationAnchor),
+            hand: this.toScreenPosition(this.handPosition),
+            neutralRadius: this.JOYSTICK_NEUTRAL * scale,
+            rangeRadius: this.JOYSTICK_RANGE * scale,
+            deflection
+        });
+    }
+    
+    /**
+     * Free flight: pushing the hand toward the camera (it looks bigger)
+     * thrusts forward and pulling it back reverses, banking it turns and
+     * tipping the fingers forward or back pitches. A fist lets go of the
+     * controls, and the pose the hand opens in becomes the new neutral.
+     */
+    handleFreeFlight(landmarks) {
+        const flight = this.solarSystem.freeFlight;
+        const pose = this.getFlightPose(landmarks);
+        
+        if (!this.flightNeutral || this.detectGesture(landmarks) === 'fist') {
+            this.flightNeutral = pose;
+            flight.setHandControl(0, 0, 0);
+            return;
+        }
+        
+        const neutral = this.flightNeutral;
+        const tilt = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+        
+        flight.setHandControl(
+            this.flightAxis(pose.size / neutral.size - 1, this.FLIGHT_THRUST_DEADZONE, this.FLIGHT_THRUST_RANGE),
+            this.flightAxis(tilt(pose.bank - neutral.bank), this.FLIGHT_TILT_DEADZONE, this.FLIGHT_TILT_RANGE),
+            -this.flightAxis(tilt(pose.tip - neutral.tip), this.FLIGHT_TILT_DEADZONE, this.FLIGHT_TILT_RANGE)
+        );
+    }
+    
+    getFlightPose(landmarks) {
+        const knuckles = this.vector(landmarks[LANDMARKS.INDEX_MCP], landmarks[LANDMARKS.PINKY_MCP]);
+        const palm = this.vector(landmarks[LANDMARKS.WRIST], landmarks[LANDMARKS.MIDDLE_MCP]);
+        
+        return {
+            // 3D palm length doesn't change with tilt, only with distance
+            size: this.getPalmSize(landmarks),
+            // Angle of the knuckle line in the image (y down)
+            bank: Math.atan2(knuckles.y, knuckles.x),
+            // Fingers leaning toward the camera (z toward the camera is negative)
+            tip: Math.atan2(-palm.z, -palm.y)
+        };
+    }
+    
+    flightAxis(value, deadzone, range) {
+        const amount = Math.max(0, Math.min(1, (Math.abs(value) - deadzone) / (range - deadzone)));
+        return Math.sign(value) * amount;
+    }
+    
+    toggleFreeFlight() {
+        // Whatever the hand was doing doesn't carry over
+        this.onHandLost();
+        
+        if (this.solarSystem.cameraMode === 'free') {
+            this.solarSystem.exitFreeFlight();
+        } else {
+            this.solarSystem.enterFreeFlight();
+            if (this.followingPlanet) {
+                this.followingPlanet = null;
+                this.emit('planetFollowing', null);
+            }
+        }
+        return this.solarSystem.cameraMode;
+    }
+    
     handleRotation() {
         // Map hand position to camera rotation
         // Hand moves left/right -> rotate horizontally
         // Hand moves up/down -> adjust vertical angle
+        const camera = this.solarSystem.cameraController;
         
-        const deltaTheta = this.handVelocity.x * this.rotationSensitivity;
-        const deltaPhi = this.handVelocity.y * this.rotationSensitivity;
+        // Movement inside the deadzone is tremor; past it, the anchor is dragged along
+        const offsetX = this.handPosition.x - this.rotationAnchor.x;
+        const offsetY = this.handPosition.y - this.rotationAnchor.y;
+        const offset = Math.hypot(offsetX, offsetY);
+        if (offset <= this.ROTATION_DEADZONE) {
+            // Holding still lets the speed estimate settle, which is what ends a throw
+            if (this.thrownAt === null) {
+                camera.drag(0, 0);
+                this.detectThrow(camera);
+            }
+            return;
+        }
+        
+        const excess = (offset - this.ROTATION_DEADZONE) / offset;
+        const moveX = offsetX * excess;
+        const moveY = offsetY * excess;
+        this.rotationAnchor.x += moveX;
+        this.rotationAnchor.y += moveY;
+        
+        // Moving again after a throw catches the camera (the flick's follow-through doesn't)
+        if (this.thrownAt !== null) {
+            if (performance.now() - this.thrownAt < this.THROW_CATCH_DELAY) return;
+            this.thrownAt = null;
+            camera.grab();
+        }
+        
+        const sensitivity = this.rotationSensitivity * this.sensitivityScale.rotation;
+        camera.drag(-moveX * sensitivity, moveY * sensitivity);
+        this.detectThrow(camera);
+    }
+    
+    detectThrow(camera) {
+        const speed = camera.getSpeed();
         
-        this.solarSystem.adjustRotation(-deltaTheta, deltaPhi);
+        if (speed > this.THROW_SPEED) {
+            if (!this.throwPeak || speed > this.throwPeak.speed) {
+                this.throwPeak = { speed, ...camera.velocity };
+            }
+        } else if (this.throwPeak && speed < this.throwPeak.speed * 0.3) {
+            // The hand braked hard after a fast flick: let the camera fly
+            camera.fling(this.throwPeak.theta, this.throwPeak.phi);
+            this.throwPeak = null;
+            this.thrownAt = performance.now();
+            this.emit('cameraThrown', camera.getSpeed());
+        }
     }
     
     handlePinch(landmarks) {
@@ -246,19 +819,43 @@ export class GestureController {
         const deltaDistance = currentDistance - this.previousPinchDistance;
         
         // Invert: smaller distance = closer zoom
-        this.solarSystem.adjustZoom(-deltaDistance * this.zoomSensitivity);
+        this.solarSystem.adjustZoom(-deltaDistance * this.zoomSensitivity * this.sensitivityScale.zoom);
     }
     
     handlePoint(landmarks) {
         // Get index fingertip position
         const indexTip = landmarks[LANDMARKS.INDEX_TIP];
         
-        // Convert to screen coordinates
-        const screenX = (1 - indexTip.x) * window.innerWidth;
-        const screenY = indexTip.y * window.innerHeight;
+        // Convert to screen coordinates, over the area calibrated for the fingertip
+        const target = this.toScreenPosition(indexTip, this.pointingArea);
+        
+        // Smooth out fingertip jitter
+        if (this.pointer) {
+            this.pointer.x += (target.x - this.pointer.x) * this.pointerSmoothing;
+            this.pointer.y += (target.y - this.pointer.y) * this.pointerSmoothing;
+        } else {
+            this.pointer = target;
+        }
         
-        // Check for planet at position
-        const planet = this.solarSystem.getPlanetAtScreenPosition(screenX, screenY);
+        this.pointAt(this.pointer.x, this.pointer.y, 'hand');
+    }
+    
+    /**
+     * Planet at a screen position, or the closest one within the snap radius.
+     */
+    findPointedPlanet(x, y) {
+        const nearest = this.solarSystem.getNearestPlanetOnScreen(x, y, this.SNAP_RADIUS);
+        const planet = this.solarSystem.getPlanetAtScreenPosition(x, y) || (nearest && nearest.name) || null;
+        return { planet, nearest };
+    }
+    
+    /**
+     * Hover at a screen position. Shared by the fingertip and the mouse: the
+     * fingertip dwells to select, the mouse only highlights and clicks instead.
+     */
+    pointAt(x, y, source) {
+        const { planet, nearest } = this.findPointedPlanet(x, y);
+        const dwell = source !== 'mouse';
         
         if (planet) {
             if (this.hoveredPlanet !== planet) {
@@ -269,12 +866,9 @@ export class GestureController {
             
             this.hoverDuration = Date.now() - this.hoverStartTime;
             
-            // Select after 1.5 seconds of hovering
-            if (this.hoverDuration > 1500 && this.selectedPlanet !== planet) {
-                this.selectedPlanet = planet;
-                this.solarSystem.selectPlanet(planet);
-                this.solarSystem.focusOnPlanet(planet);
-                this.emit('planetSelected', planet);
+            // Select after hovering for the dwell time (1.5 seconds by default)
+            if (dwell && this.hoverDuration >= this.selectDwell && this.selectedPlanet !== planet) {
+                this.focusPlanet(planet, source);
             }
         } else {
             if (this.hoveredPlanet) {
@@ -282,30 +876,146 @@ export class GestureController {
                 this.hoveredPlanet = null;
             }
         }
+        
+        // Already-selected planets show a full ring
+        const progress = !planet ? 0 :
+            this.selectedPlanet === planet ? 1 :
+            dwell ? Math.min(1, this.hoverDuration / this.selectDwell) : 0;
+        const snap = nearest && nearest.name === planet ? { x: nearest.x, y: nearest.y } : null;
+        
+        this.emit('pointer', { x, y, source, planet, progress, snap });
+    }
+    
+    endPointing() {
+        this.pointer = null;
+        
+        // The dwell starts over the next time a planet is hovered
+        if (this.hoveredPlanet) {
+            this.solarSystem.highlightPlanet(null);
+            this.hoveredPlanet = null;
+        }
+        this.hoverStartTime = 0;
+        this.hoverDuration = 0;
+        
+        this.emit('pointer', null);
+    }
+    
+    setTourActive(active) {
+        this.tourActive = active;
+    }
+    
+    /**
+     * During a tour the V sign moved sideways skips to the next or previous
+     * step, and a held fist pauses. Returns false for gestures it leaves alone.
+     */
+    handleTourGesture(gesture) {
+        if (gesture === 'fist') {
+            if (this.updateHold(this.HOLD_TIMES.fist)) {
+                this.emit('tourControl', 'pause');
+            }
+            return true;
+        }
+        
+        if (gesture === 'time') {
+            if (this.timeScrubOrigin === null) {
+                this.timeScrubOrigin = this.handPosition.x;
+            }
+            
+            // Once per V sign; camera image is mirrored, so moving right lowers x
+            const offset = this.timeScrubOrigin - this.handPosition.x;
+            if (!this.holdFired && Math.abs(offset) > this.TOUR_SKIP_OFFSET) {
+                this.holdFired = true;
+                this.emit('tourControl', offset > 0 ? 'next' : 'previous');
+            }
+            return true;
+        }
+        
+        return false;
     }
     
     handleFist() {
         // Toggle follow mode on currently selected planet
-        if (this.gestureDuration > 500 && this.gestureDuration < 700) {
-            if (this.selectedPlanet) {
-                if (this.followingPlanet === this.selectedPlanet) {
-                    // Stop following
-                    this.followingPlanet = null;
-                    this.solarSystem.stopFollowing();
-                    this.emit('planetFollowing', null);
-                } else {
-                    // Start following
-                    this.followingPlanet = this.selectedPlanet;
-                    this.solarSystem.followPlanet(this.selectedPlanet);
-                    this.emit('planetFollowing', this.selectedPlanet);
-                }
-            }
+        if (this.updateHold(this.HOLD_TIMES.fist)) {
+            this.toggleFollowSelected();
         }
     }
     
+    updateHold(holdTime) {
+        // True exactly once per hold, however few frames arrive while holding
+        if (this.holdFired) return false;
+        
+        const progress = Math.min(1, this.gestureDuration / holdTime);
+        this.emit('holdProgress', this.currentGesture, progress);
+        
+        if (progress < 1) return false;
+        this.holdFired = true;
+        return true;
+    }
+    
+    /**
+     * Select a body and fly to it. Planets are followed once the camera
+     * gets there; the Sun stays at the centre. `source` is who picked it -
+     * 'hand', 'mouse' or 'manual' - and null when the app did (e.g. a tour).
+     */
+    focusPlanet(planetName, source = null) {
+        this.selectedPlanet = planetName;
+        this.solarSystem.selectPlanet(planetName);
+        this.solarSystem.flyTo(planetName);
+        this.emit('planetSelected', planetName, source);
+        
+        const following = this.solarSystem.followingPlanet;
+        if (this.followingPlanet !== following) {
+            this.followingPlanet = following;
+            this.emit('planetFollowing', following);
+        }
+    }
+    
+    /**
+     * Set the selection without flying anywhere, e.g. from a link.
+     */
+    restoreSelection(selectedPlanet, followingPlanet) {
+        this.selectedPlanet = selectedPlanet;
+        this.solarSystem.selectPlanet(selectedPlanet);
+        if (selectedPlanet) {
+            this.emit('planetSelected', selectedPlanet);
+        }
+        
+        this.followingPlanet = followingPlanet;
+        this.emit('planetFollowing', followingPlanet);
+    }
+    
+    toggleFollowSelected() {
+        if (!this.selectedPlanet) return;
+        
+        if (this.followingPlanet === this.selectedPlanet) {
+            // Stop following
+            this.followingPlanet = null;
+            this.solarSystem.stopFollowing();
+            this.emit('planetFollowing', null);
+        } else {
+            // Start following
+            this.followingPlanet = this.selectedPlanet;
+            this.solarSystem.followPlanet(this.selectedPlanet);
+            this.emit('planetFollowing', this.selectedPlanet);
+        }
+    }
+    
+    handleCustomGesture() {
+        // Fire the bound action once per hold
+        if (this.updateHold(this.CUSTOM_GESTURE_HOLD)) {
+            this.emit('customAction', this.activeCustomGesture.action, this.activeCustomGesture);
+        }
+    }
+    
+    getPlanetAtHand() {
+        // Planet under the palm centre
+        const screen = this.toScreenPosition(this.handPosition);
+        return this.solarSystem.getPlanetAtScreenPosition(screen.x, screen.y);
+    }
+    
     handlePalm() {
         // Reset view after holding palm for 1 second
-        if (this.gestureDuration > 1000 && this.gestureDuration < 1200) {
+        if (this.updateHold(this.HOLD_TIMES.palm)) {
             this.solarSystem.resetView();
             this.selectedPlanet = null;
             this.followingPlanet = null;
@@ -314,9 +1024,40 @@ export class GestureController {
         }
     }
     
+    handleTimeScrub() {
+        // Horizontal offset from where the V sign started acts like a shuttle dial
+        if (this.timeScrubOrigin === null) {
+            this.timeScrubOrigin = this.handPosition.x;
+        }
+        
+        // Camera image is mirrored: moving right lowers x
+        const offset = this.timeScrubOrigin - this.handPosition.x;
+        const magnitude = Math.max(0, Math.abs(offset) - this.TIME_SCRUB_DEADZONE);
+        const deflection = Math.min(1, magnitude / this.TIME_SCRUB_RANGE);
+        
+        // Quadratic response: fine control near the centre, years per second at the edge
+        const rate = Math.sign(offset) * deflection * deflection * this.timeScrubMaxRate;
+        
+        this.solarSystem.simulationClock.setScrubRate(rate);
+        this.emit('timeScrub', rate);
+    }
+    
+    endTimeScrub() {
+        this.timeScrubOrigin = null;
+        this.solarSystem.simulationClock.endScrub();
+    }
+    
     onHandLost() {
-        this.currentGesture = null;
-        this.isPinching = false;
+        if (this.currentGesture === 'time') {
+            this.endTimeScrub();
+        }
+        
+        this.twoHandState = null;
+        this.gestureState.reset();
+        this.applyGestureState();
+        
+        this.flightNeutral = null;
+        this.solarSystem.freeFlight.setHandControl(0, 0, 0);
         
         // Clear hover state
         if (this.hoveredPlanet) {
@@ -330,8 +1071,21 @@ export class GestureController {
     }
     
     // Manual controls (for fallback)
+    beginManualRotate() {
+        this.solarSystem.cameraController.grab();
+    }
+    
     manualRotate(deltaTheta, deltaPhi) {
-        this.solarSystem.adjustRotation(deltaTheta, deltaPhi);
+        // Dragging looks around in free flight
+        if (this.solarSystem.cameraMode === 'free') {
+            this.solarSystem.freeFlight.look(deltaTheta, deltaPhi);
+            return;
+        }
+        this.solarSystem.cameraController.drag(deltaTheta, deltaPhi);
+    }
+    
+    endManualRotate() {
+        this.solarSystem.cameraController.release();
     }
     
     manualZoom(delta) {
@@ -339,10 +1093,7 @@ export class GestureController {
     }
     
     manualSelectPlanet(planetName) {
-        this.selectedPlanet = planetName;
-        this.solarSystem.selectPlanet(planetName);
-        this.solarSystem.focusOnPlanet(planetName);
-        this.emit('planetSelected', planetName);
+        this.focusPlanet(planetName, 'manual');
     }
     
     manualFollowPlanet(planetName) {
@@ -375,9 +1126,9 @@ export class GestureController {
         }
     }
     
-    emit(event, data) {
+    emit(event, ...data) {
         if (this.callbacks[event]) {
-            this.callbacks[event].forEach(callback => callback(data));
+            this.callbacks[event].forEach(callback => callback(...data));
         }
     }
     
@@ -386,10 +1137,18 @@ export class GestureController {
         return this.currentGesture;
     }
     
+    getGestureConfidence() {
+        return this.gestureConfidence;
+    }
+    
     getHandPosition() {
         return this.handPosition;
     }
     
+    getHandScreenPosition() {
+        return this.toScreenPosition(this.handPosition);
+    }
+    
     getSelectedPlanet() {
         return this.selectedPlanet;
     }
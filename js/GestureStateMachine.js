@@ -0,0 +1,76 @@
+/**
+ * 🚦 Gesture State Machine
+ * Settles noisy per-frame gesture guesses into a stable gesture
+ */
+
+export class GestureStateMachine {
+    constructor() {
+        // Settled state
+        this.gesture = null;
+        this.previousGesture = null;
+        this.confidence = 0;
+        this.startTime = 0;
+        
+        // Gesture waiting to take over
+        this.candidate = null;
+        this.candidateFrames = 0;
+        
+        // Hysteresis: a new gesture needs more confidence to enter than
+        // the current one needs to stay
+        this.enterConfidence = 0.6;
+        this.exitConfidence = 0.4;
+        this.minFrames = 3;
+    }
+    
+    /**
+     * Feed one frame's best guess along with every gesture's confidence (0-1).
+     * Returns true when the settled gesture changed.
+     */
+    update(guess, scores, now = Date.now()) {
+        const guessConfidence = scores[guess] || 0;
+        
+        // Count consecutive confident frames of the same guess
+        if (guessConfidence < this.enterConfidence) {
+            this.candidate = null;
+            this.candidateFrames = 0;
+        } else if (guess === this.candidate) {
+            this.candidateFrames++;
+        } else {
+            this.candidate = guess;
+            this.candidateFrames = 1;
+        }
+        
+        if (this.gesture !== null) {
+            this.confidence = scores[this.gesture] || 0;
+        }
+        
+        if (guess === this.gesture) return false;
+        
+        // Stay put while the current gesture is still plausible
+        const holding = this.gesture !== null && this.confidence >= this.exitConfidence;
+        if (holding || this.candidateFrames < this.minFrames) return false;
+        
+        this.set(guess, guessConfidence, now);
+        return true;
+    }
+    
+    /**
+     * Switch immediately, bypassing debouncing (e.g. two-hand mode).
+     */
+    set(gesture, confidence = 1, now = Date.now()) {
+        this.previousGesture = this.gesture;
+        this.gesture = gesture;
+        this.confidence = confidence;
+        this.startTime = now;
+    }
+    
+    reset() {
+        this.set(null, 0);
+        this.candidate = null;
+        this.candidateFrames = 0;
+    }
+    
+    getDuration(now = Date.now()) {
+        return this.gesture === null ? 0 : now - this.startTime;
+    }
+}
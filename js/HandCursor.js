@@ -0,0 +1,51 @@
+/**
+ * 👆 Hand Cursor
+ * On-screen pointer with dwell-to-select progress and planet snapping
+ * (the mouse gets the planet highlight and label, and clicks to select)
+ */
+
+import { PLANET_DATA } from './data.js';
+
+export class HandCursor {
+    constructor(gestureController) {
+        this.gestureController = gestureController;
+        this.element = null;
+        this.label = null;
+    }
+    
+    init() {
+        this.element = document.getElementById('hand-cursor');
+        this.label = this.element.querySelector('.hand-cursor-label');
+        
+        this.gestureController.on('pointer', (pointer) => this.update(pointer));
+    }
+    
+    update(pointer) {
+        if (!pointer) {
+            this.hide();
+            return;
+        }
+        
+        // The mouse already has a cursor - only mark the planet under it
+        if (pointer.source === 'mouse' && !pointer.planet) {
+            this.hide();
+            return;
+        }
+        
+        // Magnetic snap to the planet centre when close enough
+        const position = pointer.snap || pointer;
+        this.element.style.left = `${position.x}px`;
+        this.element.style.top = `${position.y}px`;
+        this.element.style.setProperty('--hold-progress', pointer.progress);
+        
+        this.element.classList.toggle('mouse', pointer.source === 'mouse');
+        this.element.classList.toggle('snapped', !!pointer.snap);
+        this.element.classList.toggle('complete', pointer.progress >= 1);
+        this.label.textContent = pointer.planet ? PLANET_DATA[pointer.planet].name : '';
+        this.element.classList.remove('hidden');
+    }
+    
+    hide() {
+        this.element.classList.add('hidden');
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * 🧵 Hand Inference Worker
+ * Runs the MediaPipe hand landmark model off the main thread
+ *
+ * Messages in: { type: 'init', options, assets } then { type: 'frame', bitmap, timestamp }
+ * with the ImageBitmap transferred. Messages out: 'ready', 'error' and
+ * 'results' with landmarks in the same shape as MediaPipe Hands' onResults.
+ */
+
+let landmarker = null;
+let lastTimestamp = 0;
+
+self.onmessage = async (e) => {
+    const message = e.data;
+    
+    switch (message.type) {
+        case 'init':
+            try {
+                await init(message.options, message.assets);
+                self.postMessage({ type: 'ready' });
+            } catch (error) {
+                self.postMessage({ type: 'error', message: error.message });
+            }
+            break;
+        case 'frame':
+            detect(message.bitmap, message.timestamp);
+            break;
+    }
+};
+
+/**
+ * `assets` holds the resolved tasks-vision package base and model URL (see boot.js).
+ */
+async function init(options, assets) {
+    const { FilesetResolver, HandLandmarker } = await import(`${assets.tasksVision}vision_bundle.mjs`);
+    const fileset = await FilesetResolver.forVisionTasks(`${assets.tasksVision}wasm`);
+    
+    const create = (delegate) => HandLandmarker.createFromOptions(fileset, {
+        baseOptions: { modelAssetPath: assets.model, delegate },
+        runningMode: 'VIDEO',
+        numHands: options.maxNumHands,
+        minHandDetectionConfidence: options.minDetectionConfidence,
+        minHandPresenceConfidence: options.minTrackingConfidence,
+        minTrackingConfidence: options.minTrackingConfidence
+    });
+    
+    // The GPU delegate needs WebGL on an OffscreenCanvas, which not every browser has in workers
+    try {
+        landmarker = await create('GPU');
+    } catch (error) {
+        landmarker = await create('CPU');
+    }
+}
+
+function detect(bitmap, timestamp) {
+    const started = performance.now();
+    
+    // Video mode needs strictly increasing timestamps
+    lastTimestamp = Math.max(timestamp, lastTimestamp + 1);
+    let result;
+    try {
+        result = landmarker.detectForVideo(bitmap, lastTimestamp);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+        return;
+    } finally {
+        bitmap.close();
+    }
+    
+    self.postMessage({
+        type: 'results',
+        multiHandLandmarks: result.landmarks,
+        multiHandedness: result.handedness.map(categories => ({
+            label: categories[0].categoryName,
+            score: categories[0].score
+        })),
+        inferenceTime: performance.now() - started
+    });
+}
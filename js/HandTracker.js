@@ -3,6 +3,75 @@
  * Handles webcam access and hand landmark detection
  */
 
+import { LandmarkFilter } from './OneEuroFilter.js';
+
+// Visualization colors per hand slot
+export const HAND_COLORS = ['0, 245, 255', '255, 149, 0'];
+
+// A hand whose wrist is further than this (fraction of the image) from every
+// wrist in the previous frame is a new hand with fresh smoothing
+const HAND_MATCH_DISTANCE = 0.25;
+
+// Shared by the main-thread and worker models
+export const HAND_MODEL_OPTIONS = {
+    maxNumHands: 2,
+    modelComplexity: 1,
+    minDetectionConfidence: 0.7,
+    minTrackingConfidence: 0.5
+};
+
+/**
+ * Draw a hand skeleton onto a 2D context, mirrored like the camera preview.
+ */
+export function drawHand(ctx, landmarks, color = HAND_COLORS[0]) {
+    const w = ctx.canvas.width;
+    const h = ctx.canvas.height;
+    
+    // Mirror x coordinates for display
+    const mirror = (x) => w - x * w;
+    
+    // Draw connections
+    const connections = [
+        // Thumb
+        [0, 1], [1, 2], [2, 3], [3, 4],
+        // Index
+        [0, 5], [5, 6], [6, 7], [7, 8],
+        // Middle
+        [0, 9], [9, 10], [10, 11], [11, 12],
+        // Ring
+        [0, 13], [13, 14], [14, 15], [15, 16],
+        // Pinky
+        [0, 17], [17, 18], [18, 19], [19, 20],
+        // Palm
+        [5, 9], [9, 13], [13, 17]
+    ];
+    
+    ctx.strokeStyle = `rgba(${color}, 0.6)`;
+    ctx.lineWidth = 2;
+    
+    connections.forEach(([i, j]) => {
+        ctx.beginPath();
+        ctx.moveTo(mirror(landmarks[i].x), landmarks[i].y * h);
+        ctx.lineTo(mirror(landmarks[j].x), landmarks[j].y * h);
+        ctx.stroke();
+    });
+    
+    // Draw landmarks
+    landmarks.forEach((landmark, i) => {
+        const x = mirror(landmark.x);
+        const y = landmark.y * h;
+        
+        // Fingertips are larger
+        const isFingerTip = [4, 8, 12, 16, 20].includes(i);
+        const radius = isFingerTip ? 5 : 3;
+        
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = isFingerTip ? `rgb(${color})` : `rgba(${color}, 0.8)`;
+        ctx.fill();
+    });
+}
+
 export class HandTracker {
     constructor(videoElement, canvasElement) {
         this.video = videoElement;
@@ -16,18 +85,67 @@ export class HandTracker {
         this.lastLandmarks = null;
         this.handDetected = false;
         
+        // Every visible hand: [{ landmarks, handedness }]
+        this.trackedHands = [];
+        
         // Event callbacks
         this.callbacks = {
             handDetected: [],
-            handLost: []
+            handLost: [],
+            smoothed: []
         };
         
-        // Smoothing
+        // One-Euro smoothing per hand: [{ filter, wrist }] from the previous frame
+        this.handFilters = [];
         this.smoothedLandmarks = null;
-        this.smoothingFactor = 0.5;
+        this.smoothingStrength = 0.5;
+        
+        // Visualization colors per hand slot
+        this.handColors = HAND_COLORS;
+        
+        // Performance stats for the overlay
+        this.stats = {
+            thread: 'main',
+            frames: 0,
+            inferenceTime: 0
+        };
     }
     
     async init() {
+        await this.openVideo();
+        await this.initInference();
+        
+        // Setup canvas for hand visualization
+        this.canvas.width = 200;
+        this.canvas.height = 150;
+    }
+    
+    async initInference() {
+        // MediaPipe scripts come from a CDN and may have failed to load
+        if (!window.Hands) {
+            throw new Error('MediaPipe Hands could not be loaded');
+        }
+        
+        // Initialize MediaPipe Hands (model and wasm from the local copy or CDN, see boot.js)
+        this.hands = new window.Hands({
+            locateFile: (file) => {
+                return window.solarHandAssets.url('hands', file);
+            }
+        });
+        
+        this.hands.setOptions(HAND_MODEL_OPTIONS);
+        this.hands.onResults((results) => this.onResults(results));
+    }
+    
+    async openVideo() {
+        if (!window.Camera) {
+            throw new Error('MediaPipe camera utils could not be loaded');
+        }
+        
+        await this.requestWebcam();
+    }
+    
+    async requestWebcam() {
         // Request camera access
         try {
             const stream = await navigator.mediaDevices.getUserMedia({
@@ -41,28 +159,9 @@ export class HandTracker {
             await this.video.play();
         } catch (error) {
             console.error('Camera access denied:', error);
+            this.releaseCamera();
             throw new Error('Camera access is required for hand tracking');
         }
-        
-        // Initialize MediaPipe Hands
-        this.hands = new window.Hands({
-            locateFile: (file) => {
-                return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
-            }
-        });
-        
-        this.hands.setOptions({
-            maxNumHands: 1,
-            modelComplexity: 1,
-            minDetectionConfidence: 0.7,
-            minTrackingConfidence: 0.5
-        });
-        
-        this.hands.onResults((results) => this.onResults(results));
-        
-        // Setup canvas for hand visualization
-        this.canvas.width = 200;
-        this.canvas.height = 150;
     }
     
     start() {
@@ -73,7 +172,7 @@ export class HandTracker {
         this.camera = new window.Camera(this.video, {
             onFrame: async () => {
                 if (this.isRunning) {
-                    await this.hands.send({ image: this.video });
+                    await this.sendFrame(this.video);
                 }
             },
             width: 640,
@@ -90,6 +189,44 @@ export class HandTracker {
         }
     }
     
+    /**
+     * Run the model on one frame on the main thread, timing it for the overlay.
+     */
+    async sendFrame(image) {
+        const started = performance.now();
+        await this.hands.send({ image });
+        this.recordInference(performance.now() - started);
+    }
+    
+    recordInference(ms) {
+        const stats = this.stats;
+        stats.frames++;
+        stats.inferenceTime = stats.frames === 1 ? ms : stats.inferenceTime + (ms - stats.inferenceTime) * 0.1;
+    }
+    
+    releaseCamera() {
+        // Stop any open webcam stream so a later init() can reacquire it
+        const stream = this.video.srcObject;
+        if (stream) {
+            stream.getTracks().forEach(track => track.stop());
+            this.video.srcObject = null;
+        }
+    }
+    
+    /**
+     * Stop for good when another source takes over: the camera and the
+     * model's wasm memory are both freed.
+     */
+    dispose() {
+        this.stop();
+        this.releaseCamera();
+        
+        if (this.hands) {
+            this.hands.close();
+            this.hands = null;
+        }
+    }
+    
     onResults(results) {
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
@@ -105,19 +242,32 @@ export class HandTracker {
         this.ctx.restore();
         
         if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-            const landmarks = results.multiHandLandmarks[0];
+            const handedness = results.multiHandedness || [];
+            const filters = this.matchHandFilters(results.multiHandLandmarks);
+            const now = performance.now();
             
-            // Smooth landmarks
-            this.smoothLandmarks(landmarks);
+            this.trackedHands = results.multiHandLandmarks.map((landmarks, i) => {
+                const label = handedness[i] ? handedness[i].label : 'Unknown';
+                
+                // Smooth landmarks, looking ahead by the inference time to make up for the frame's age
+                const smoothed = filters[i].filter(landmarks, now, this.stats.inferenceTime);
+                if (i === 0) {
+                    this.emit('smoothed', { raw: landmarks, filtered: smoothed, time: now });
+                }
+                
+                // Draw hand visualization
+                this.drawHand(landmarks, this.handColors[i % this.handColors.length]);
+                
+                return { landmarks: smoothed, handedness: label };
+            });
             
-            // Draw hand visualization
-            this.drawHand(landmarks);
+            this.smoothedLandmarks = this.trackedHands[0].landmarks;
             
             // Emit hand detected event
             if (!this.handDetected) {
                 this.handDetected = true;
             }
-            this.emit('handDetected', this.smoothedLandmarks);
+            this.emit('handDetected', this.trackedHands);
             
             this.lastLandmarks = this.smoothedLandmarks;
         } else {
@@ -126,87 +276,55 @@ export class HandTracker {
                 this.handDetected = false;
                 this.emit('handLost');
             }
+            this.handFilters = [];
             this.smoothedLandmarks = null;
+            this.trackedHands = [];
         }
     }
     
-    smoothLandmarks(landmarks) {
-        if (!this.smoothedLandmarks) {
-            this.smoothedLandmarks = landmarks.map(lm => ({ ...lm }));
-            return;
-        }
-        
-        for (let i = 0; i < landmarks.length; i++) {
-            this.smoothedLandmarks[i].x = this.lerp(
-                this.smoothedLandmarks[i].x,
-                landmarks[i].x,
-                this.smoothingFactor
-            );
-            this.smoothedLandmarks[i].y = this.lerp(
-                this.smoothedLandmarks[i].y,
-                landmarks[i].y,
-                this.smoothingFactor
-            );
-            this.smoothedLandmarks[i].z = this.lerp(
-                this.smoothedLandmarks[i].z,
-                landmarks[i].z,
-                this.smoothingFactor
-            );
-        }
-    }
-    
-    lerp(a, b, t) {
-        return a + (b - a) * t;
-    }
-    
-    drawHand(landmarks) {
-        const ctx = this.ctx;
-        const w = this.canvas.width;
-        const h = this.canvas.height;
-        
-        // Mirror x coordinates for display
-        const mirror = (x) => w - x * w;
-        
-        // Draw connections
-        const connections = [
-            // Thumb
-            [0, 1], [1, 2], [2, 3], [3, 4],
-            // Index
-            [0, 5], [5, 6], [6, 7], [7, 8],
-            // Middle
-            [0, 9], [9, 10], [10, 11], [11, 12],
-            // Ring
-            [0, 13], [13, 14], [14, 15], [15, 16],
-            // Pinky
-            [0, 17], [17, 18], [18, 19], [19, 20],
-            // Palm
-            [5, 9], [9, 13], [13, 17]
-        ];
-        
-        ctx.strokeStyle = 'rgba(0, 245, 255, 0.6)';
-        ctx.lineWidth = 2;
-        
-        connections.forEach(([i, j]) => {
-            ctx.beginPath();
-            ctx.moveTo(mirror(landmarks[i].x), landmarks[i].y * h);
-            ctx.lineTo(mirror(landmarks[j].x), landmarks[j].y * h);
-            ctx.stroke();
+    /**
+     * A filter for each hand, carried over from the hand whose wrist was
+     * nearest in the previous frame. Handedness labels can repeat or swap
+     * from frame to frame, and the detection order isn't stable either.
+     */
+    matchHandFilters(hands) {
+        const previous = this.handFilters;
+        const pairs = [];
+        hands.forEach((landmarks, i) => {
+            const wrist = landmarks[0];
+            previous.forEach((track, j) => {
+                pairs.push({ i, j, distance: Math.hypot(wrist.x - track.wrist.x, wrist.y - track.wrist.y) });
+            });
         });
+        pairs.sort((a, b) => a.distance - b.distance);
         
-        // Draw landmarks
-        landmarks.forEach((landmark, i) => {
-            const x = mirror(landmark.x);
-            const y = landmark.y * h;
-            
-            // Fingertips are larger
-            const isFingerTip = [4, 8, 12, 16, 20].includes(i);
-            const radius = isFingerTip ? 5 : 3;
-            
-            ctx.beginPath();
-            ctx.arc(x, y, radius, 0, Math.PI * 2);
-            ctx.fillStyle = isFingerTip ? '#00f5ff' : 'rgba(0, 245, 255, 0.8)';
-            ctx.fill();
+        // Closest pairs first, each hand and each old filter used once
+        const matched = hands.map(() => null);
+        const used = new Set();
+        pairs.forEach(({ i, j, distance }) => {
+            if (distance > HAND_MATCH_DISTANCE || matched[i] || used.has(j)) return;
+            matched[i] = previous[j].filter;
+            used.add(j);
         });
+        
+        // Filters of hands that left the frame are dropped
+        this.handFilters = hands.map((landmarks, i) => ({
+            filter: matched[i] || new LandmarkFilter(this.smoothingStrength),
+            wrist: landmarks[0]
+        }));
+        return this.handFilters.map(track => track.filter);
+    }
+    
+    /**
+     * Filter strength from 0 (raw landmarks) to 1 (heaviest smoothing).
+     */
+    setSmoothing(strength) {
+        this.smoothingStrength = strength;
+        this.handFilters.forEach(track => track.filter.setStrength(strength));
+    }
+    
+    drawHand(landmarks, color = this.handColors[0]) {
+        drawHand(this.ctx, landmarks, color);
     }
     
     // Event system
@@ -236,7 +354,15 @@ export class HandTracker {
         return this.smoothedLandmarks;
     }
     
+    getHands() {
+        return this.trackedHands;
+    }
+    
     isHandDetected() {
         return this.handDetected;
     }
+    
+    getStats() {
+        return this.stats;
+    }
 }
@@ -0,0 +1,92 @@
+/**
+ * 🔌 Input Sources
+ * Interchangeable providers of hand landmarks for the gesture controller
+ *
+ * Every source has the HandTracker interface: async init(), start(), stop(),
+ * releaseCamera(), dispose(), isRunning, getHands() and on/off for
+ * 'handDetected' (array of { landmarks, handedness }) and 'handLost'.
+ * Replays also emit 'ended'.
+ */
+
+import { HandTracker } from './HandTracker.js';
+import { WorkerHandTracker } from './WorkerHandTracker.js';
+import { VideoFileTracker } from './VideoFileTracker.js';
+import { LandmarkReplay } from './LandmarkRecording.js';
+import { createSyntheticRecording, parseScript, DEMO_SCRIPT } from './SyntheticHands.js';
+
+export const INPUT_SOURCES = {
+    webcam: 'Webcam',
+    video: 'Video file',
+    replay: 'Landmark recording',
+    synthetic: 'Synthetic demo'
+};
+
+export const DEFAULT_INPUT_SOURCE = 'webcam';
+
+/**
+ * Source requested in the page URL, e.g. ?input=replay&src=session.json
+ * or ?input=synthetic&script=palm:1500,point:2000&loop=1
+ */
+export function getRequestedInputSource(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const type = params.get('input');
+    const worker = params.get('worker') !== '0';
+    
+    if (!INPUT_SOURCES[type]) {
+        return { type: DEFAULT_INPUT_SOURCE, options: { worker } };
+    }
+    
+    return {
+        type,
+        options: {
+            src: params.get('src') || undefined,
+            script: params.get('script') || undefined,
+            loop: params.get('loop') === '1',
+            worker
+        }
+    };
+}
+
+/**
+ * Build a source. `elements` holds the shared { video, canvas };
+ * options: src (video/recording URL - a video's blob: URL is revoked when
+ * the source is disposed), recording (parsed or JSON text),
+ * script (synthetic steps or "pose:ms,..." text), loop and worker
+ * (false keeps webcam inference on the main thread).
+ */
+export async function createInputSource(type, elements, options = {}) {
+    switch (type) {
+        case 'webcam':
+            // Inference runs in a worker where possible; ?worker=0 keeps it on the main thread
+            if (options.worker !== false && WorkerHandTracker.isSupported()) {
+                return new WorkerHandTracker(elements.video, elements.canvas);
+            }
+            return new HandTracker(elements.video, elements.canvas);
+        
+        case 'video':
+            if (!options.src) throw new Error('Video source needs a src');
+            return new VideoFileTracker(elements.video, elements.canvas, options.src);
+        
+        case 'replay': {
+            let recording = options.recording;
+            if (!recording) {
+                if (!options.src) throw new Error('Replay source needs a recording or src');
+                const response = await fetch(options.src);
+                if (!response.ok) throw new Error(`Could not load recording (${response.status})`);
+                recording = await response.text();
+            }
+            return new LandmarkReplay(recording, elements.canvas, { loop: options.loop });
+        }
+        
+        case 'synthetic': {
+            const script = typeof options.script === 'string' ? parseScript(options.script) :
+                           options.script || DEMO_SCRIPT;
+            // The demo keeps going unless a script was given
+            const loop = options.loop || !options.script;
+            return new LandmarkReplay(createSyntheticRecording(script), elements.canvas, { loop });
+        }
+        
+        default:
+            throw new Error(`Unknown input source "${type}"`);
+    }
+}
@@ -0,0 +1,45 @@
+/**
+ * 🕹️ Joystick Ring
+ * Shows the neutral zone and current deflection in joystick rotation mode
+ */
+
+export class JoystickRing {
+    constructor(gestureController) {
+        this.gestureController = gestureController;
+        this.element = null;
+        this.knob = null;
+    }
+    
+    init() {
+        this.element = document.getElementById('joystick-ring');
+        this.knob = this.element.querySelector('.joystick-knob');
+        
+        this.gestureController.on('joystick', (joystick) => this.update(joystick));
+    }
+    
+    update(joystick) {
+        if (!joystick) {
+            this.element.classList.add('hidden');
+            return;
+        }
+        
+        const { center, hand, neutralRadius, rangeRadius, deflection } = joystick;
+        this.element.style.left = `${center.x}px`;
+        this.element.style.top = `${center.y}px`;
+        this.element.style.setProperty('--neutral-radius', `${neutralRadius}px`);
+        this.element.style.setProperty('--range-radius', `${rangeRadius}px`);
+        
+        // Knob follows the hand, pinned to the outer ring at full deflection
+        let dx = hand.x - center.x;
+        let dy = hand.y - center.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance > rangeRadius) {
+            dx *= rangeRadius / distance;
+            dy *= rangeRadius / distance;
+        }
+        this.knob.style.transform = `translate(calc(${dx}px - 50%), calc(${dy}px - 50%))`;
+        
+        this.element.classList.toggle('active', deflection > 0);
+        this.element.classList.remove('hidden');
+    }
+}
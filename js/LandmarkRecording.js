@@ -0,0 +1,285 @@
+/**
+ * 📼 Landmark Recording
+ * Capture the hand tracker's event stream to JSON and play it back
+ */
+
+import { drawHand, HAND_COLORS } from './HandTracker.js';
+
+export const RECORDING_VERSION = 1;
+const PRECISION = 10000; // landmarks rounded to 4 decimals
+
+/**
+ * Records handDetected/handLost events from a HandTracker (or anything with the same events).
+ */
+export class LandmarkRecorder {
+    constructor(tracker) {
+        this.tracker = tracker;
+        this.events = [];
+        this.startTime = 0;
+        this.isRecording = false;
+        
+        this.onHandDetected = (hands) => this.record('handDetected', hands);
+        this.onHandLost = () => this.record('handLost');
+    }
+    
+    start() {
+        if (this.isRecording) return;
+        
+        this.events = [];
+        this.startTime = performance.now();
+        this.isRecording = true;
+        
+        this.tracker.on('handDetected', this.onHandDetected);
+        this.tracker.on('handLost', this.onHandLost);
+    }
+    
+    /**
+     * Stop and return the recording as a plain, JSON-ready object.
+     */
+    stop() {
+        if (this.isRecording) {
+            this.tracker.off('handDetected', this.onHandDetected);
+            this.tracker.off('handLost', this.onHandLost);
+            this.isRecording = false;
+        }
+        
+        return {
+            version: RECORDING_VERSION,
+            recordedAt: new Date().toISOString(),
+            duration: this.events.length ? this.events[this.events.length - 1].t : 0,
+            events: this.events
+        };
+    }
+    
+    record(type, hands) {
+        const event = { t: Math.round(performance.now() - this.startTime), type };
+        
+        // Landmarks are smoothed in place by the tracker, so copy them now
+        if (hands) {
+            event.hands = hands.map(hand => ({
+                handedness: hand.handedness,
+                landmarks: hand.landmarks.map(lm => [round(lm.x), round(lm.y), round(lm.z || 0)])
+            }));
+        }
+        
+        this.events.push(event);
+    }
+}
+
+/**
+ * Validate a parsed recording file. Throws on anything unusable.
+ */
+export function parseRecording(data) {
+    if (typeof data === 'string') {
+        data = JSON.parse(data);
+    }
+    
+    if (!data || data.version !== RECORDING_VERSION || !Array.isArray(data.events)) {
+        throw new Error('Not a SolarHand landmark recording');
+    }
+    
+    if (data.events.length === 0) {
+        throw new Error('Recording is empty');
+    }
+    
+    const valid = data.events.every(event =>
+        typeof event.t === 'number' &&
+        (event.type === 'handLost' ||
+         (event.type === 'handDetected' && Array.isArray(event.hands) &&
+          event.hands.every(hand => Array.isArray(hand.landmarks) && hand.landmarks.length === 21)))
+    );
+    if (!valid) {
+        throw new Error('Recording contains malformed events');
+    }
+    
+    return data;
+}
+
+/**
+ * Plays a recording through the same event interface as HandTracker.
+ * Runs at real speed once started, or can be stepped manually with advance()
+ * for deterministic, timer-free playback (e.g. in headless tests).
+ */
+export class LandmarkReplay {
+    constructor(recording, canvasElement = null, { loop = false } = {}) {
+        this.recording = parseRecording(recording);
+        this.loop = loop;
+        this.canvas = canvasElement;
+        this.ctx = canvasElement ? canvasElement.getContext('2d') : null;
+        
+        this.isRunning = false;
+        this.handDetected = false;
+        this.trackedHands = [];
+        
+        // Playback position
+        this.time = 0;
+        this.eventIndex = 0;
+        this.lastFrameTime = 0;
+        this.frameRequest = null;
+        
+        // Played frames, for the performance overlay
+        this.stats = {
+            thread: 'replay',
+            frames: 0,
+            inferenceTime: 0
+        };
+        
+        // Event callbacks
+        this.callbacks = {
+            handDetected: [],
+            handLost: [],
+            ended: []
+        };
+        
+        this.tick = this.tick.bind(this);
+    }
+    
+    async init() {
+        // Nothing to acquire - the recording is already in memory
+    }
+    
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.lastFrameTime = performance.now();
+        this.frameRequest = requestAnimationFrame(this.tick);
+    }
+    
+    stop() {
+        this.isRunning = false;
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+    }
+    
+    releaseCamera() {
+        // No camera to release
+    }
+    
+    dispose() {
+        this.stop();
+    }
+    
+    rewind() {
+        this.time = 0;
+        this.eventIndex = 0;
+        if (this.handDetected) {
+            this.handDetected = false;
+            this.trackedHands = [];
+            this.emit('handLost');
+        }
+    }
+    
+    tick(now) {
+        if (!this.isRunning) return;
+        
+        this.advance(now - this.lastFrameTime);
+        this.lastFrameTime = now;
+        
+        if (this.isRunning) {
+            this.frameRequest = requestAnimationFrame(this.tick);
+        }
+    }
+    
+    /**
+     * Move the playhead forward by ms, emitting every event that falls inside.
+     */
+    advance(ms) {
+        this.time += ms;
+        const events = this.recording.events;
+        if (this.eventIndex >= events.length) return;
+        
+        while (this.eventIndex < events.length && events[this.eventIndex].t <= this.time) {
+            this.play(events[this.eventIndex++]);
+        }
+        
+        if (this.eventIndex >= events.length && this.loop) {
+            // Start over without ending
+            this.time = 0;
+            this.eventIndex = 0;
+        } else if (this.eventIndex >= events.length) {
+            // Don't leave a hand hanging if the recording stopped mid-gesture
+            if (this.handDetected) {
+                this.play({ type: 'handLost' });
+            }
+            this.stop();
+            this.emit('ended');
+        }
+    }
+    
+    play(event) {
+        this.stats.frames++;
+        
+        if (event.type === 'handLost') {
+            this.handDetected = false;
+            this.trackedHands = [];
+            this.clearCanvas();
+            this.emit('handLost');
+            return;
+        }
+        
+        this.handDetected = true;
+        this.trackedHands = event.hands.map(hand => ({
+            handedness: hand.handedness,
+            landmarks: hand.landmarks.map(([x, y, z]) => ({ x, y, z }))
+        }));
+        
+        this.drawHands();
+        this.emit('handDetected', this.trackedHands);
+    }
+    
+    clearCanvas() {
+        if (this.ctx) {
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+    }
+    
+    drawHands() {
+        if (!this.ctx) return;
+        
+        this.clearCanvas();
+        this.trackedHands.forEach((hand, i) => {
+            drawHand(this.ctx, hand.landmarks, HAND_COLORS[i % HAND_COLORS.length]);
+        });
+    }
+    
+    // Event system
+    on(event, callback) {
+        if (this.callbacks[event]) {
+            this.callbacks[event].push(callback);
+        }
+    }
+    
+    off(event, callback) {
+        if (this.callbacks[event]) {
+            const index = this.callbacks[event].indexOf(callback);
+            if (index > -1) {
+                this.callbacks[event].splice(index, 1);
+            }
+        }
+    }
+    
+    emit(event, data) {
+        if (this.callbacks[event]) {
+            this.callbacks[event].forEach(callback => callback(data));
+        }
+    }
+    
+    // Getters for current state
+    getHands() {
+        return this.trackedHands;
+    }
+    
+    isHandDetected() {
+        return this.handDetected;
+    }
+    
+    getStats() {
+        return this.stats;
+    }
+}
+
+function round(value) {
+    return Math.round(value * PRECISION) / PRECISION;
+}
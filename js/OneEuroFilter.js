@@ -0,0 +1,116 @@
+/**
+ * 🎚️ One-Euro Filter
+ * Adaptive low-pass filtering for hand landmarks: heavy smoothing while the
+ * hand is still, little lag while it moves fast
+ * (Casiez, Roussel & Vogel, "1€ Filter", CHI 2012)
+ */
+
+const MAX_PREDICTION = 50; // ms of look-ahead, at most
+
+function smoothingAlpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+export class OneEuroFilter {
+    constructor({ minCutoff = 1, beta = 20, dCutoff = 1 } = {}) {
+        this.minCutoff = minCutoff; // Hz, smoothing at rest
+        this.beta = beta;           // how fast the cutoff rises with speed
+        this.dCutoff = dCutoff;     // Hz, smoothing of the speed estimate
+        this.reset();
+    }
+    
+    reset() {
+        this.value = null;
+        this.velocity = 0; // units per second
+        this.lastTime = 0;
+    }
+    
+    /**
+     * Filter one sample taken at `time` (ms).
+     */
+    filter(value, time) {
+        if (this.value === null) {
+            this.value = value;
+            this.lastTime = time;
+            return value;
+        }
+        
+        // Duplicate timestamps would divide by zero
+        const dt = Math.max(time - this.lastTime, 1) / 1000;
+        this.lastTime = time;
+        
+        const rawVelocity = (value - this.value) / dt;
+        this.velocity += (rawVelocity - this.velocity) * smoothingAlpha(this.dCutoff, dt);
+        
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.velocity);
+        this.value += (value - this.value) * smoothingAlpha(cutoff, dt);
+        
+        return this.value;
+    }
+    
+    /**
+     * Where the signal will be `ahead` ms from the last sample.
+     */
+    predict(ahead) {
+        return this.value + this.velocity * ahead / 1000;
+    }
+}
+
+/**
+ * One filter per axis of all 21 landmarks of a hand.
+ * `strength` runs from 0 (raw landmarks) to 1 (heaviest smoothing).
+ */
+export class LandmarkFilter {
+    constructor(strength = 0.5) {
+        this.filters = [];
+        this.output = null;
+        this.setStrength(strength);
+    }
+    
+    setStrength(strength) {
+        this.strength = strength;
+        
+        // 5 Hz at the lightest setting down to 0.5 Hz at the heaviest
+        const minCutoff = 5 - 4.5 * strength;
+        this.filters.forEach(axes => axes.forEach(filter => {
+            filter.minCutoff = minCutoff;
+        }));
+        this.minCutoff = minCutoff;
+    }
+    
+    /**
+     * Filter a frame of landmarks and look `prediction` ms ahead. Returns the
+     * same array object every frame, updated in place.
+     */
+    filter(landmarks, time, prediction = 0) {
+        if (!this.output) {
+            this.filters = landmarks.map(() => [0, 1, 2].map(() => new OneEuroFilter({ minCutoff: this.minCutoff })));
+            this.output = landmarks.map(lm => ({ ...lm }));
+        }
+        
+        const ahead = Math.min(prediction, MAX_PREDICTION);
+        
+        landmarks.forEach((lm, i) => {
+            const out = this.output[i];
+            const [fx, fy, fz] = this.filters[i];
+            fx.filter(lm.x, time);
+            fy.filter(lm.y, time);
+            fz.filter(lm.z, time);
+            
+            // Filters keep running when off so turning them back on doesn't jump
+            if (this.strength === 0) {
+                out.x = lm.x;
+                out.y = lm.y;
+                out.z = lm.z;
+                return;
+            }
+            
+            out.x = fx.predict(ahead);
+            out.y = fy.predict(ahead);
+            out.z = fz.predict(ahead);
+        });
+        
+        return this.output;
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * 📈 Performance Overlay
+ * Render and hand tracking frame rates, measured separately
+ */
+
+const SAMPLE_INTERVAL = 500; // ms between readouts
+
+const THREAD_LABELS = {
+    worker: 'worker',
+    main: 'main thread',
+    replay: 'replay'
+};
+
+export class PerformanceOverlay {
+    constructor() {
+        this.element = null;
+        this.visible = false;
+        this.source = null;
+        
+        // Counters since the last readout
+        this.renderFrames = 0;
+        this.trackingFrames = 0;
+        this.sampleStart = 0;
+    }
+    
+    init() {
+        this.element = document.getElementById('perf-overlay');
+        this.values = {
+            render: this.element.querySelector('[data-stat="render"]'),
+            tracking: this.element.querySelector('[data-stat="tracking"]'),
+            inference: this.element.querySelector('[data-stat="inference"]')
+        };
+    }
+    
+    /**
+     * Measure whichever input source is feeding the gesture controller.
+     */
+    setSource(source) {
+        this.source = source;
+        this.trackingFrames = this.getTrackingFrames();
+    }
+    
+    setVisible(visible) {
+        this.visible = visible;
+        this.element.classList.toggle('hidden', !visible);
+        this.sampleStart = performance.now();
+        this.renderFrames = 0;
+        this.trackingFrames = this.getTrackingFrames();
+    }
+    
+    /**
+     * Call once per rendered frame.
+     */
+    frame(now = performance.now()) {
+        if (!this.visible) return;
+        
+        this.renderFrames++;
+        const elapsed = now - this.sampleStart;
+        if (elapsed < SAMPLE_INTERVAL) return;
+        
+        // Tracking runs on its own clock, so rate it from the source's frame count
+        const trackingFrames = this.getTrackingFrames();
+        const renderFps = this.renderFrames * 1000 / elapsed;
+        const trackingFps = (trackingFrames - this.trackingFrames) * 1000 / elapsed;
+        const stats = this.getSourceStats();
+        
+        this.values.render.textContent = `${Math.round(renderFps)} fps`;
+        this.values.tracking.textContent = stats ?
+            `${Math.round(trackingFps)} fps · ${THREAD_LABELS[stats.thread] || stats.thread}` :
+            'off';
+        this.values.inference.textContent = stats && stats.inferenceTime ?
+            `${stats.inferenceTime.toFixed(1)} ms` :
+            '—';
+        
+        this.sampleStart = now;
+        this.renderFrames = 0;
+        this.trackingFrames = trackingFrames;
+    }
+    
+    getSourceStats() {
+        return this.source && this.source.getStats ? this.source.getStats() : null;
+    }
+    
+    getTrackingFrames() {
+        const stats = this.getSourceStats();
+        return stats ? stats.frames : 0;
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * 📊 Planet Stats
+ * Display formatting for the numeric fields of PLANET_DATA, and the
+ * measures bodies are compared by
+ */
+
+import { KM_PER_AU } from './data.js';
+
+const SUPERSCRIPT = { '-': '⁻', 0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹' };
+
+export function formatDistanceFromSun(au) {
+    if (!au) return 'Center of Solar System';
+    const km = au * KM_PER_AU;
+    return km < 1e9 ? `${(km / 1e6).toFixed(1)} million km` : `${(km / 1e9).toFixed(1)} billion km`;
+}
+
+export function formatDiameter(radiusKm) {
+    return `${Math.round(radiusKm * 2).toLocaleString()} km`;
+}
+
+// Days up to two years, then years
+export function formatOrbitalPeriod(days) {
+    if (!days) return 'N/A';
+    return days < 730 ? `${Math.round(days)} Earth days` : `${(days / 365.25).toFixed(2)} Earth years`;
+}
+
+export function formatDayLength(hours) {
+    return hours >= 48 ? `${Math.round(hours / 24)} Earth days` : `${hours} hours`;
+}
+
+// e.g. 5.97 × 10²⁴ kg
+export function formatMass(kg) {
+    const exponent = Math.floor(Math.log10(kg));
+    const power = String(exponent).split('').map(digit => SUPERSCRIPT[digit]).join('');
+    return `${(kg / Math.pow(10, exponent)).toFixed(2)} × 10${power} kg`;
+}
+
+/**
+ * Measures for comparing bodies. `value` is null where a measure doesn't
+ * apply (the Sun has no year); `chartValue` is what bars are drawn from
+ * when the plain value can be negative.
+ */
+export const COMPARISON_METRICS = {
+    diameter: {
+        label: 'Diameter',
+        value: body => body.radiusKm * 2,
+        format: km => `${Math.round(km).toLocaleString()} km`
+    },
+    mass: {
+        label: 'Mass',
+        value: body => body.massKg,
+        format: formatMass
+    },
+    gravity: {
+        label: 'Surface Gravity',
+        value: body => body.surfaceGravity,
+        format: gravity => `${gravity} m/s²`
+    },
+    day: {
+        label: 'Day Length',
+        value: body => body.dayLengthHours,
+        format: formatDayLength
+    },
+    year: {
+        label: 'Year Length',
+        value: body => body.orbitalPeriodDays || null,
+        format: formatOrbitalPeriod
+    },
+    temperature: {
+        label: 'Mean Temperature',
+        value: body => body.meanTemperatureC,
+        format: celsius => `${celsius.toLocaleString()} °C`,
+        // Kelvin, so colder is always a shorter bar
+        chartValue: celsius => celsius + 273.15
+    },
+    moons: {
+        label: 'Moons',
+        value: body => body.moonCount,
+        format: count => String(count)
+    }
+};
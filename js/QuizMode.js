@@ -0,0 +1,356 @@
+/**
+ * 🧠 Quiz Mode
+ * Timed questions answered by selecting a planet - pointing, clicking it,
+ * the planet bar or the number keys all count
+ *
+ * Questions are generated from the numeric fields of PLANET_DATA, or loaded
+ * as a question bank:
+ *   { "title": "...", "time": 20, "shuffle": true,
+ *     "questions": [{ "prompt": "...", "answer": "venus", "explanation": "...", "time": 15 }] }
+ * `answer` can also be a list of bodies that all count as correct.
+ */
+
+import { PLANET_DATA } from './data.js';
+import { formatDayLength } from './PlanetStats.js';
+
+export const QUIZ_VERSION = 1;
+
+const QUESTION_COUNT = 10;
+const QUESTION_TIME = 20;  // seconds
+const FEEDBACK_TIME = 3;   // seconds the answer stays up before the next question
+const BASE_POINTS = 100;
+const TIME_BONUS = 50;     // extra points for an instant answer, less the longer it takes
+const STREAK_BONUS = 25;   // per correct answer in a row after the first
+
+const PLANETS = Object.keys(PLANET_DATA).filter(name => name !== 'sun');
+
+// Numeric fields questions are generated from
+const QUIZ_FIELDS = {
+    dayLengthHours: {
+        most: 'the longest day',
+        least: 'the shortest day',
+        describe: hours => `a day lasting ${formatDayLength(hours)}`
+    },
+    tilt: {
+        most: 'the most tilted axis',
+        least: 'the least tilted axis',
+        describe: degrees => `a ${degrees}° axial tilt`
+    },
+    radiusKm: {
+        most: 'the largest radius',
+        least: 'the smallest radius',
+        describe: km => `a radius of ${Math.round(km).toLocaleString()} km`
+    },
+    semiMajorAxisAU: {
+        most: 'the widest orbit',
+        least: 'the smallest orbit',
+        describe: au => `an orbit ${au.toFixed(2)} AU from the Sun`
+    },
+    moonCount: {
+        most: 'the most known moons',
+        least: 'the fewest known moons',
+        describe: count => `${count} known moon${count === 1 ? '' : 's'}`
+    }
+};
+
+function shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * Every question the planet data can answer unambiguously: the planet with
+ * the most or least of a field, and which planet has a given value.
+ */
+export function generateQuestionPool() {
+    const pool = [];
+    
+    Object.entries(QUIZ_FIELDS).forEach(([field, spec]) => {
+        const values = PLANETS.map(name => ({ name, value: PLANET_DATA[name][field] }));
+        const sorted = [...values].sort((a, b) => a.value - b.value);
+        const isUnique = value => values.filter(v => v.value === value).length === 1;
+        const explain = ({ name, value }) => `${PLANET_DATA[name].name} has ${spec.describe(value)}.`;
+        
+        [['most', sorted[sorted.length - 1]], ['least', sorted[0]]].forEach(([extreme, entry]) => {
+            if (!isUnique(entry.value)) return;
+            pool.push({
+                prompt: `Point at the planet with ${spec[extreme]}`,
+                answers: [entry.name],
+                explanation: explain(entry)
+            });
+        });
+        
+        values.filter(entry => isUnique(entry.value)).forEach(entry => {
+            pool.push({
+                prompt: `Which planet has ${spec.describe(entry.value)}?`,
+                answers: [entry.name],
+                explanation: explain(entry)
+            });
+        });
+    });
+    
+    return pool.map(question => ({ ...question, time: QUESTION_TIME }));
+}
+
+export function generateQuiz(count = QUESTION_COUNT) {
+    return {
+        title: 'Planet Quiz',
+        questions: shuffle(generateQuestionPool()).slice(0, count)
+    };
+}
+
+/**
+ * Parse and check a question bank file. Throws an Error saying what is wrong.
+ */
+export function parseQuestionBank(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Not a JSON file');
+    }
+    
+    if (!data || !Array.isArray(data.questions) || data.questions.length === 0) {
+        throw new Error('No questions in this file');
+    }
+    if (data.version !== undefined && data.version !== QUIZ_VERSION) {
+        throw new Error(`Unsupported question bank version ${data.version}`);
+    }
+    
+    const isTime = time => Number.isFinite(time) && time > 0;
+    if (data.time !== undefined && !isTime(data.time)) {
+        throw new Error('time must be a number of seconds');
+    }
+    
+    const questions = data.questions.map((question, i) => {
+        const fail = message => { throw new Error(`Question ${i + 1}: ${message}`); };
+        if (!question || typeof question !== 'object') fail('not an object');
+        
+        const { prompt, answer, explanation = '', time = data.time || QUESTION_TIME } = question;
+        if (typeof prompt !== 'string' || !prompt.trim()) fail('missing prompt');
+        
+        const answers = Array.isArray(answer) ? answer : [answer];
+        if (answers.length === 0) fail('missing answer');
+        answers.forEach(name => {
+            if (!PLANET_DATA[name]) fail(`unknown answer "${name}"`);
+        });
+        
+        if (typeof explanation !== 'string') fail('explanation must be text');
+        if (!isTime(time)) fail('time must be a number of seconds');
+        
+        return { prompt, answers, explanation, time };
+    });
+    
+    return {
+        title: typeof data.title === 'string' ? data.title : 'Custom Quiz',
+        questions: data.shuffle ? shuffle(questions) : questions
+    };
+}
+
+export class QuizMode {
+    constructor(ui) {
+        this.ui = ui;
+        this.gestureController = ui.gestureController;
+        
+        // Question bank to replay, or null for freshly generated questions
+        this.bank = null;
+        this.quiz = null;
+        
+        // 'question', 'feedback' or 'results' while a quiz is open
+        this.phase = null;
+        this.index = 0;
+        this.elapsed = 0; // ms in the current phase
+        this.lastUpdate = null;
+        
+        this.score = 0;
+        this.streak = 0;
+        this.bestStreak = 0;
+        this.results = [];
+        
+        this.elements = {};
+    }
+    
+    init() {
+        const panel = document.getElementById('quiz-panel');
+        this.elements = { panel };
+        panel.querySelectorAll('[data-field]').forEach(field => {
+            this.elements[field.dataset.field] = field;
+        });
+        panel.querySelectorAll('[data-quiz]').forEach(button => {
+            button.addEventListener('click', () => this.control(button.dataset.quiz));
+        });
+        
+        // Pointing, the planet bar and the number keys all end up selecting a
+        // planet; selections the viewer didn't make (links, tours) aren't answers
+        this.gestureController.on('planetSelected', (planet, source) => {
+            if (this.phase === 'question' && source) this.answer(planet);
+        });
+    }
+    
+    isOpen() {
+        return this.phase !== null;
+    }
+    
+    getQuestion() {
+        return this.quiz ? this.quiz.questions[this.index] : null;
+    }
+    
+    /**
+     * Start a quiz from a question bank, or from generated questions.
+     */
+    start(bank = null) {
+        this.bank = bank;
+        this.quiz = bank || generateQuiz();
+        this.score = 0;
+        this.streak = 0;
+        this.bestStreak = 0;
+        this.results = [];
+        
+        this.elements.panel.classList.remove('hidden');
+        this.elements.title.textContent = this.quiz.title;
+        this.showQuestion(0);
+    }
+    
+    close() {
+        this.phase = null;
+        this.quiz = null;
+        this.elements.panel.classList.add('hidden');
+    }
+    
+    control(action) {
+        if (!this.phase) return;
+        
+        switch (action) {
+            case 'skip':
+                if (this.phase === 'question') {
+                    this.answer(null);
+                } else if (this.phase === 'feedback') {
+                    this.nextQuestion();
+                }
+                break;
+            case 'restart':
+                this.start(this.bank);
+                break;
+            case 'stop':
+                this.close();
+                break;
+        }
+    }
+    
+    showQuestion(index) {
+        this.index = index;
+        this.setPhase('question');
+        
+        // Start from the whole system with nothing selected, so any planet can be
+        // picked. Dropping the hover restarts the dwell, so a finger or mouse left
+        // on the last answer doesn't answer this question too.
+        this.gestureController.manualReset();
+        this.gestureController.endPointing();
+        this.ui.hidePlanetInfo();
+        
+        const question = this.getQuestion();
+        this.elements.counter.textContent = `${index + 1} / ${this.quiz.questions.length}`;
+        this.elements.prompt.textContent = question.prompt;
+        this.elements.feedback.textContent = '';
+        this.elements.feedback.className = 'quiz-feedback';
+        this.elements.timer.style.width = '100%';
+    }
+    
+    /**
+     * Score a selected planet, or null when skipped or out of time.
+     */
+    answer(planet) {
+        const question = this.getQuestion();
+        const seconds = this.elapsed / 1000;
+        const correct = question.answers.includes(planet);
+        
+        if (correct) {
+            this.streak++;
+            this.bestStreak = Math.max(this.bestStreak, this.streak);
+            const remaining = Math.max(0, 1 - seconds / question.time);
+            this.score += BASE_POINTS + Math.round(TIME_BONUS * remaining) + STREAK_BONUS * (this.streak - 1);
+        } else {
+            this.streak = 0;
+        }
+        this.results.push({ question, planet, correct, seconds });
+        
+        const names = question.answers.map(name => PLANET_DATA[name].name).join(' or ');
+        const verdict = correct ? '✅ Correct!' :
+            planet ? `❌ Not ${PLANET_DATA[planet].name} - it's ${names}.` :
+            `⏱️ It's ${names}.`;
+        this.elements.feedback.textContent = `${verdict} ${question.explanation}`.trim();
+        this.elements.feedback.classList.add(correct ? 'correct' : 'wrong');
+        this.updateStats();
+        this.setPhase('feedback');
+    }
+    
+    nextQuestion() {
+        if (this.index + 1 < this.quiz.questions.length) {
+            this.showQuestion(this.index + 1);
+        } else {
+            this.showResults();
+        }
+    }
+    
+    showResults() {
+        this.setPhase('results');
+        
+        const correct = this.results.filter(result => result.correct);
+        const answered = this.results.filter(result => result.planet);
+        const averageTime = answered.length ?
+            answered.reduce((sum, result) => sum + result.seconds, 0) / answered.length : 0;
+        
+        this.elements.resultScore.textContent = this.score;
+        this.elements.resultCorrect.textContent = `${correct.length} / ${this.results.length}`;
+        this.elements.resultStreak.textContent = this.bestStreak;
+        this.elements.resultTime.textContent = answered.length ? `${averageTime.toFixed(1)} s` : '—';
+        
+        this.elements.missed.replaceChildren(...this.results.filter(result => !result.correct).map(result => {
+            const item = document.createElement('li');
+            const names = result.question.answers.map(name => PLANET_DATA[name].name).join(' or ');
+            item.textContent = `${result.question.prompt} → ${names}`;
+            return item;
+        }));
+    }
+    
+    setPhase(phase) {
+        this.phase = phase;
+        this.elapsed = 0;
+        this.lastUpdate = null;
+        this.elements.question.classList.toggle('hidden', phase === 'results');
+        this.elements.results.classList.toggle('hidden', phase !== 'results');
+        this.elements.skip.classList.toggle('hidden', phase === 'results');
+        this.elements.restart.classList.toggle('hidden', phase !== 'results');
+        this.updateStats();
+    }
+    
+    updateStats() {
+        this.elements.score.textContent = this.score;
+        this.elements.streak.textContent = this.streak;
+    }
+    
+    /**
+     * Call once per rendered frame.
+     */
+    update(now = performance.now()) {
+        if (this.phase !== 'question' && this.phase !== 'feedback') return;
+        
+        if (this.lastUpdate !== null) {
+            this.elapsed += now - this.lastUpdate;
+        }
+        this.lastUpdate = now;
+        
+        if (this.phase === 'feedback') {
+            if (this.elapsed >= FEEDBACK_TIME * 1000) this.nextQuestion();
+            return;
+        }
+        
+        const limit = this.getQuestion().time * 1000;
+        this.elements.timer.style.width = `${Math.max(0, 1 - this.elapsed / limit) * 100}%`;
+        if (this.elapsed >= limit) this.answer(null);
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * 💾 Settings Store
+ * Saves settings and the last view to localStorage so they survive reloads
+ *
+ * Stored data carries a schema version. Older data is upgraded one version
+ * at a time by MIGRATIONS before use; values that don't match the type of
+ * their default are dropped, so a bad entry never breaks startup.
+ */
+
+const STORAGE_KEY = 'solarhand.settings';
+const SCHEMA_VERSION = 1;
+
+/**
+ * Upgrades keyed by the version they start from, each returning data of the
+ * next version. Add one whenever a setting is renamed or changes meaning.
+ */
+const MIGRATIONS = {};
+
+export class SettingsStore {
+    constructor(defaults) {
+        this.defaults = { ...defaults };
+    }
+    
+    /**
+     * Saved settings on top of the defaults.
+     */
+    load() {
+        const stored = this.read();
+        return { ...this.defaults, ...this.validate(stored ? stored.settings : {}) };
+    }
+    
+    save(settings) {
+        this.write({ settings: this.validate(settings) });
+    }
+    
+    /**
+     * Last camera view ({ selected, following, camera }), or null.
+     */
+    loadSession() {
+        const stored = this.read();
+        return stored && stored.session ? stored.session : null;
+    }
+    
+    saveSession(session) {
+        this.write({ session });
+    }
+    
+    /**
+     * Forget everything saved and return the defaults.
+     */
+    reset() {
+        try {
+            localStorage.removeItem(STORAGE_KEY);
+        } catch (error) {
+            console.warn('Could not clear settings:', error);
+        }
+        return { ...this.defaults };
+    }
+    
+    validate(settings = {}) {
+        return Object.fromEntries(
+            Object.entries(settings).filter(([key, value]) =>
+                key in this.defaults && typeof value === typeof this.defaults[key]
+            )
+        );
+    }
+    
+    migrate(stored) {
+        let data = stored;
+        while (data.version < SCHEMA_VERSION) {
+            const upgrade = MIGRATIONS[data.version];
+            if (!upgrade) return null;
+            data = { ...upgrade(data), version: data.version + 1 };
+        }
+        
+        // Saved by a newer version of the app - don't guess
+        return data.version === SCHEMA_VERSION ? data : null;
+    }
+    
+    read() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (stored && Number.isInteger(stored.version)) {
+                return this.migrate(stored);
+            }
+        } catch (error) {
+            console.warn('Could not load settings:', error);
+        }
+        return null;
+    }
+    
+    write(changes) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                settings: {},
+                session: null,
+                ...this.read(),
+                ...changes,
+                version: SCHEMA_VERSION
+            }));
+        } catch (error) {
+            console.warn('Could not save settings:', error);
+        }
+    }
+}
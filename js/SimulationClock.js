@@ -0,0 +1,153 @@
+/**
+ * ⏱️ Simulation Clock
+ * Simulated date with pause, reverse, time-warp and stepping
+ */
+
+import { toJulianDate, fromJulianDate } from './Ephemeris.js';
+
+export const TIME_WARP_LEVELS = [
+    { label: 'Real time', daysPerSecond: 1 / 86400 },
+    { label: '1 min/s', daysPerSecond: 1 / 1440 },
+    { label: '1 hour/s', daysPerSecond: 1 / 24 },
+    { label: '1 day/s', daysPerSecond: 1 },
+    { label: '1 week/s', daysPerSecond: 7 },
+    { label: '1 month/s', daysPerSecond: 30.436875 },
+    { label: '1 year/s', daysPerSecond: 365.2425 },
+    { label: '10 years/s', daysPerSecond: 3652.425 }
+];
+
+const DEFAULT_WARP_INDEX = 5;
+
+const RATE_UNITS = [
+    { label: 'year', days: 365.2425 },
+    { label: 'month', days: 30.436875 },
+    { label: 'day', days: 1 },
+    { label: 'hour', days: 1 / 24 },
+    { label: 'min', days: 1 / 1440 }
+];
+
+/**
+ * Human-readable signed rate, e.g. "-2.5 months/s"
+ */
+export function formatRate(daysPerSecond) {
+    const magnitude = Math.abs(daysPerSecond);
+    const unit = RATE_UNITS.find(u => magnitude >= u.days) || RATE_UNITS[RATE_UNITS.length - 1];
+    const value = magnitude / unit.days;
+    const rounded = value >= 10 ? Math.round(value) : Math.round(value * 10) / 10;
+    const sign = daysPerSecond < 0 ? '-' : '';
+    return `${sign}${rounded} ${unit.label}${rounded === 1 ? '' : 's'}/s`;
+}
+
+export class SimulationClock {
+    constructor(date = new Date()) {
+        this.julianDate = toJulianDate(date);
+        this.warpIndex = DEFAULT_WARP_INDEX;
+        this.direction = 1;
+        this.paused = false;
+        
+        // Continuous rate override while scrubbing (days per second)
+        this.scrubRate = null;
+    }
+    
+    /**
+     * Advance by a real-time delta (seconds), with the warp scaled by `speed`.
+     * Scrubbing runs at exactly the rate asked for. Returns the simulated days elapsed.
+     */
+    update(delta, speed = 1) {
+        if (this.paused && this.scrubRate === null) return 0;
+        
+        const rate = this.scrubRate !== null ? this.scrubRate : this.getDaysPerSecond() * speed;
+        const deltaDays = delta * rate;
+        this.julianDate += deltaDays;
+        return deltaDays;
+    }
+    
+    // Playback
+    pause() {
+        this.paused = true;
+    }
+    
+    resume() {
+        this.paused = false;
+    }
+    
+    togglePause() {
+        this.paused = !this.paused;
+    }
+    
+    reverse() {
+        this.direction = -this.direction;
+    }
+    
+    // Scrubbing overrides warp, direction and pause until cleared
+    setScrubRate(daysPerSecond) {
+        this.scrubRate = daysPerSecond;
+    }
+    
+    endScrub() {
+        this.scrubRate = null;
+    }
+    
+    // Time-warp
+    setWarpIndex(index) {
+        this.warpIndex = Math.max(0, Math.min(TIME_WARP_LEVELS.length - 1, index));
+    }
+    
+    faster() {
+        this.setWarpIndex(this.warpIndex + 1);
+    }
+    
+    slower() {
+        this.setWarpIndex(this.warpIndex - 1);
+    }
+    
+    // Jumps
+    step(unit, count = 1) {
+        const date = this.getDate();
+        
+        switch (unit) {
+            case 'day':
+                date.setUTCDate(date.getUTCDate() + count);
+                break;
+            case 'month':
+                date.setUTCMonth(date.getUTCMonth() + count);
+                break;
+            case 'year':
+                date.setUTCFullYear(date.getUTCFullYear() + count);
+                break;
+        }
+        
+        this.setDate(date);
+    }
+    
+    setDate(date) {
+        if (isNaN(date.getTime())) return;
+        this.julianDate = toJulianDate(date);
+    }
+    
+    resetToNow() {
+        this.setDate(new Date());
+    }
+    
+    // Getters
+    getDate() {
+        return fromJulianDate(this.julianDate);
+    }
+    
+    getDaysPerSecond() {
+        if (this.scrubRate !== null) return this.scrubRate;
+        return TIME_WARP_LEVELS[this.warpIndex].daysPerSecond * this.direction;
+    }
+    
+    getWarpLabel() {
+        if (this.scrubRate !== null) return `Scrub ${formatRate(this.scrubRate)}`;
+        if (this.paused) return 'Paused';
+        
+        const label = TIME_WARP_LEVELS[this.warpIndex].label;
+        return this.direction < 0 ? `◀ ${label}` : label;
+    }
+    
+    isPaused() {
+        return this.paused;
+    }
+}
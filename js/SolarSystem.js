@@ -7,7 +7,27 @@ import * as THREE from 'three';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
-import { PLANET_DATA } from './data.js';
+import { PLANET_DATA, KM_PER_AU } from './data.js';
+import { getHeliocentricPosition, getOrbitPath } from './Ephemeris.js';
+import { SimulationClock } from './SimulationClock.js';
+import { CameraController } from './CameraController.js';
+import { CameraFlight } from './CameraFlight.js';
+import { FreeFlightCamera } from './FreeFlightCamera.js';
+
+// Realistic scale: scene units per AU, shared by distances and radii
+const UNITS_PER_AU = 100;
+const UNITS_PER_KM = UNITS_PER_AU / KM_PER_AU;
+const SCALE_TRANSITION_DURATION = 1.5; // seconds
+const REALISTIC_DEFAULT_RADIUS = 250;
+
+// Fly-to transitions
+const FLIGHT_DURATION = 2.5;   // seconds
+const FOLLOW_DISTANCE = 8;     // body radii between a followed body and the camera
+const FLIGHT_PHI = Math.PI / 3;
+const SUNLIT_ANGLE = 0.5;      // radians off the sunward side, for a lit three-quarter view
+
+// Simulated days per second that the artistic moon and asteroid speeds are tuned for
+const DAYS_PER_SECOND = 365.25 / 20;
 
 export class SolarSystem {
     constructor(container, settings) {
@@ -30,6 +50,14 @@ export class SolarSystem {
             targetPhi: Math.PI / 6
         };
         
+        // Momentum for hand, mouse and touch rotation
+        this.cameraController = new CameraController(this.cameraOrbit);
+        this.cameraController.setInertia(settings.cameraInertia);
+        
+        // Pan offset of the orbit centre
+        this.pan = new THREE.Vector3();
+        this.panTarget = new THREE.Vector3();
+        
         // Solar system objects
         this.sun = null;
         this.planets = {};
@@ -42,11 +70,25 @@ export class SolarSystem {
         // Animation state
         this.clock = new THREE.Clock();
         this.time = 0;
+        this.simulationClock = new SimulationClock();
+        this.heliocentric = {};
+        
+        // Artistic (0) to realistic (1) scale blend
+        this.scaleProgress = settings.realisticScale ? 1 : 0;
+        this.scaleTarget = this.scaleProgress;
+        this.scaleBlend = this.scaleProgress;
         
         // Following
         this.followingPlanet = null;
         this.followOffset = new THREE.Vector3();
         
+        // Camera flight in progress, if any
+        this.flight = null;
+        
+        // 'orbit' circles the centre or a followed planet; 'free' flies anywhere
+        this.cameraMode = 'orbit';
+        this.freeFlight = null;
+        
         // Selection
         this.selectedPlanet = null;
         this.hoveredPlanet = null;
@@ -63,13 +105,18 @@ export class SolarSystem {
         this.createPlanets();
         this.createAsteroidBelt();
         this.createOrbits();
+        
+        this.applyScale();
+        this.updatePlanetPositions();
+        this.cameraOrbit.radius = this.cameraOrbit.targetRadius = this.getDefaultRadius();
     }
     
     setupRenderer() {
         this.renderer = new THREE.WebGLRenderer({
             antialias: true,
             alpha: true,
-            powerPreference: 'high-performance'
+            powerPreference: 'high-performance',
+            logarithmicDepthBuffer: true // Realistic scale spans tiny moons to the outer planets
         });
         this.renderer.setSize(window.innerWidth, window.innerHeight);
         this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
@@ -84,24 +131,25 @@ export class SolarSystem {
     
     setupCamera() {
         const aspect = window.innerWidth / window.innerHeight;
-        this.camera = new THREE.PerspectiveCamera(60, aspect, 0.1, 10000);
+        this.camera = new THREE.PerspectiveCamera(60, aspect, 0.1, 20000);
         this.updateCameraPosition();
+        this.freeFlight = new FreeFlightCamera(this.camera, () => this.getBodies());
     }
     
     updateCameraPosition() {
         const { radius, theta, phi } = this.cameraOrbit;
         
         // Spherical to Cartesian coordinates
-        this.camera.position.x = radius * Math.sin(phi) * Math.cos(theta);
-        this.camera.position.y = radius * Math.cos(phi);
-        this.camera.position.z = radius * Math.sin(phi) * Math.sin(theta);
+        this.camera.position.x = this.pan.x + radius * Math.sin(phi) * Math.cos(theta);
+        this.camera.position.y = this.pan.y + radius * Math.cos(phi);
+        this.camera.position.z = this.pan.z + radius * Math.sin(phi) * Math.sin(theta);
         
         // Look at center or following planet
         if (this.followingPlanet && this.planets[this.followingPlanet]) {
             const planet = this.planets[this.followingPlanet];
             this.camera.lookAt(planet.mesh.position);
         } else {
-            this.camera.lookAt(0, 0, 0);
+            this.camera.lookAt(this.pan);
         }
     }
     
@@ -115,6 +163,7 @@ export class SolarSystem {
         sunLight.position.set(0, 0, 0);
         sunLight.castShadow = true;
         this.scene.add(sunLight);
+        this.sunLight = sunLight;
         
         // Hemisphere light for subtle fill
         const hemiLight = new THREE.HemisphereLight(0xffffff, 0x444444, 0.2);
@@ -307,19 +356,15 @@ export class SolarSystem {
         const container = new THREE.Object3D();
         container.add(mesh);
         
-        // Initial position
-        const angle = Math.random() * Math.PI * 2;
-        mesh.position.x = Math.cos(angle) * data.distance;
-        mesh.position.z = Math.sin(angle) * data.distance;
-        
         // Axial tilt
         mesh.rotation.z = (data.tilt || 0) * Math.PI / 180;
         
         this.scene.add(container);
         
         // Saturn's rings
+        let rings = null;
         if (name === 'saturn') {
-            this.createSaturnRings(mesh, data);
+            rings = this.createSaturnRings(mesh, data);
         }
         
         // Create label
@@ -332,8 +377,10 @@ export class SolarSystem {
             mesh,
             container,
             data,
-            angle,
-            orbitSpeed: data.orbitSpeed
+            rings,
+            displayDistance: data.distance,
+            meshScale: 1,
+            highlighted: false
         };
     }
     
@@ -482,6 +529,8 @@ export class SolarSystem {
         rings.rotation.x = Math.PI / 2;
         rings.rotation.y = 0.4; // Slight tilt
         planet.add(rings);
+        
+        return rings;
     }
     
     createMoon(planet, moonData, index) {
@@ -505,6 +554,8 @@ export class SolarSystem {
         return {
             mesh: moon,
             orbit: moonOrbit,
+            data: moonData,
+            size: moonData.size || 0.3,
             distance,
             speed: moonData.orbitSpeed || 2,
             angle: Math.random() * Math.PI * 2
@@ -539,15 +590,15 @@ export class SolarSystem {
     
     createOrbits() {
         Object.entries(PLANET_DATA).forEach(([name, data]) => {
+            if (!data.orbit) return;
+            
+            // Ellipse in AU, stretched to the artistic distance
             const orbitGeometry = new THREE.BufferGeometry();
-            const segments = 128;
-            const positions = new Float32Array(segments * 3);
+            const positions = getOrbitPath(data.orbit, data.semiMajorAxisAU, 256);
+            const artisticScale = data.distance / data.semiMajorAxisAU;
             
-            for (let i = 0; i < segments; i++) {
-                const angle = (i / segments) * Math.PI * 2;
-                positions[i * 3] = Math.cos(angle) * data.distance;
-                positions[i * 3 + 1] = 0;
-                positions[i * 3 + 2] = Math.sin(angle) * data.distance;
+            for (let i = 0; i < positions.length; i++) {
+                positions[i] *= artisticScale;
             }
             
             orbitGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -602,14 +653,149 @@ export class SolarSystem {
         this.scene.add(this.asteroidBelt);
     }
     
+    // Scale helpers - blend artistic values with true proportions
+    lerpScale(artistic, realistic) {
+        return artistic + (realistic - artistic) * this.scaleBlend;
+    }
+    
+    lerpScaleLog(artistic, realistic) {
+        // Radii differ by orders of magnitude, so blend them geometrically
+        return artistic * Math.pow(realistic / artistic, this.scaleBlend);
+    }
+    
+    getBodyRadius(name) {
+        const data = PLANET_DATA[name];
+        return this.lerpScaleLog(data.size, data.radiusKm * UNITS_PER_KM);
+    }
+    
+    getOrbitDistance(name) {
+        const data = PLANET_DATA[name];
+        return this.lerpScale(data.distance, data.semiMajorAxisAU * UNITS_PER_AU);
+    }
+    
+    getDefaultRadius() {
+        return this.lerpScale(80, REALISTIC_DEFAULT_RADIUS);
+    }
+    
+    getZoomLimits() {
+        const min = this.followingPlanet
+            ? this.getBodyRadius(this.followingPlanet) * 2
+            : this.getBodyRadius('sun') * 4;
+        const max = Math.max(200, this.getOrbitDistance('neptune') * 1.3);
+        return { min, max };
+    }
+    
+    applyScale() {
+        // Sun
+        this.sun.scale.setScalar(this.getBodyRadius('sun') / 5);
+        
+        Object.entries(this.planets).forEach(([name, planet]) => {
+            const data = planet.data;
+            const radius = this.getBodyRadius(name);
+            
+            planet.displayDistance = this.getOrbitDistance(name);
+            planet.meshScale = radius / data.size;
+            this.applyPlanetScale(planet);
+            
+            // Keep labels at a readable size regardless of planet scale
+            const label = this.labels[name];
+            if (label) {
+                label.scale.set(4 / planet.meshScale, 1 / planet.meshScale, 1);
+                label.position.y = (radius + 1.5) / planet.meshScale;
+            }
+            
+            // Orbit lines
+            const orbit = this.orbits[name];
+            if (orbit && data.distance > 0) {
+                orbit.scale.setScalar(planet.displayDistance / data.distance);
+            }
+            
+            // Saturn's rings (geometry outer edge is 2.4x the planet size)
+            if (planet.rings && data.rings) {
+                const outerRadius = this.lerpScaleLog(data.size * 2.4, data.rings.outerRadiusKm * UNITS_PER_KM);
+                planet.rings.scale.setScalar(outerRadius / (radius * 2.4));
+            }
+            
+            // Moons live in the planet's local space, so undo its scale
+            (this.moons[name] || []).forEach(moon => {
+                const moonDistance = this.lerpScale(moon.distance, moon.data.semiMajorAxisKm * UNITS_PER_KM);
+                const moonRadius = this.lerpScaleLog(moon.size, moon.data.radiusKm * UNITS_PER_KM);
+                moon.mesh.position.x = moonDistance / planet.meshScale;
+                moon.mesh.scale.setScalar(moonRadius / moon.size / planet.meshScale);
+            });
+        });
+        
+        // Asteroid belt sits between Mars and Jupiter in both modes
+        if (this.asteroidBelt) {
+            const artisticMid = (PLANET_DATA.mars.distance + PLANET_DATA.jupiter.distance - 2) / 2;
+            const realisticMid = 2.7 * UNITS_PER_AU;
+            const beltScale = this.lerpScale(1, realisticMid / artisticMid);
+            this.asteroidBelt.scale.set(beltScale, 1, beltScale);
+        }
+        
+        // Push the stars and sunlight out with the outer planets
+        const distanceRatio = this.getOrbitDistance('neptune') / PLANET_DATA.neptune.distance;
+        if (this.starfield) {
+            this.starfield.scale.setScalar(Math.max(1, distanceRatio / 10));
+        }
+        if (this.sunLight) {
+            this.sunLight.distance = 500 * distanceRatio;
+        }
+    }
+    
+    applyPlanetScale(planet) {
+        const highlight = planet.highlighted ? 1.2 : 1;
+        planet.mesh.scale.setScalar(planet.meshScale * highlight);
+    }
+    
+    updateScaleTransition(delta) {
+        if (this.scaleProgress === this.scaleTarget) return;
+        
+        // Keep the current framing while everything resizes
+        const framingBefore = this.followingPlanet
+            ? this.getBodyRadius(this.followingPlanet)
+            : this.getDefaultRadius();
+        
+        const step = delta / SCALE_TRANSITION_DURATION;
+        if (this.scaleTarget > this.scaleProgress) {
+            this.scaleProgress = Math.min(this.scaleTarget, this.scaleProgress + step);
+        } else {
+            this.scaleProgress = Math.max(this.scaleTarget, this.scaleProgress - step);
+        }
+        
+        // Smoothstep easing
+        const t = this.scaleProgress;
+        this.scaleBlend = t * t * (3 - 2 * t);
+        
+        this.applyScale();
+        
+        const framingAfter = this.followingPlanet
+            ? this.getBodyRadius(this.followingPlanet)
+            : this.getDefaultRadius();
+        const ratio = framingAfter / framingBefore;
+        this.cameraOrbit.radius *= ratio;
+        this.cameraOrbit.targetRadius *= ratio;
+    }
+    
+    updateNearPlane(distance = this.cameraOrbit.radius) {
+        // Tiny bodies in realistic scale need a much closer near plane
+        const near = Math.min(0.1, Math.max(0.00001, distance * 0.005));
+        if (Math.abs(near - this.camera.near) > this.camera.near * 0.01) {
+            this.camera.near = near;
+            this.camera.updateProjectionMatrix();
+        }
+    }
+    
     // Camera controls
     setRotation(theta, phi) {
+        this.cameraController.stop();
         this.cameraOrbit.targetTheta = theta;
         this.cameraOrbit.targetPhi = Math.max(0.1, Math.min(Math.PI - 0.1, phi));
     }
     
     setZoom(radius) {
-        this.cameraOrbit.targetRadius = Math.max(20, Math.min(200, radius));
+        const { min, max } = this.getZoomLimits();
+        this.cameraOrbit.targetRadius = Math.max(min, Math.min(max, radius));
     }
     
     adjustRotation(deltaTheta, deltaPhi) {
@@ -617,38 +803,166 @@ export class SolarSystem {
         this.cameraOrbit.targetPhi = Math.max(0.1, Math.min(Math.PI - 0.1, this.cameraOrbit.targetPhi + deltaPhi));
     }
     
+    adjustPan(deltaX, deltaY) {
+        // Deltas are fractions of the screen; move in the camera's view plane
+        const right = new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 0);
+        const up = new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 1);
+        const scale = this.cameraOrbit.radius;
+        
+        this.panTarget.addScaledVector(right, deltaX * scale);
+        this.panTarget.addScaledVector(up, deltaY * scale);
+        
+        // Keep the view within the system
+        this.panTarget.clampLength(0, this.getZoomLimits().max);
+    }
+    
     adjustZoom(delta) {
-        this.cameraOrbit.targetRadius = Math.max(20, Math.min(200, this.cameraOrbit.targetRadius + delta));
+        // In realistic scale, zoom proportionally so tiny planets stay reachable
+        const step = delta * this.lerpScale(1, this.cameraOrbit.targetRadius / 80);
+        this.setZoom(this.cameraOrbit.targetRadius + step);
     }
     
     followPlanet(planetName) {
         if (this.planets[planetName]) {
-            this.followingPlanet = planetName;
-            this.cameraOrbit.targetRadius = this.planets[planetName].data.size * 8;
+            this.flyTo(planetName);
         }
     }
     
     stopFollowing() {
-        this.followingPlanet = null;
-        this.cameraOrbit.targetRadius = 80;
+        // Pull back to the whole system, keeping the current heading
+        const { x, z } = this.camera.position;
+        this.flyTo(null, { theta: Math.atan2(z, x) });
     }
     
     resetView() {
-        this.cameraOrbit.targetTheta = 0;
-        this.cameraOrbit.targetPhi = Math.PI / 6;
-        this.cameraOrbit.targetRadius = 80;
-        this.followingPlanet = null;
+        this.flyTo(null, { theta: 0, phi: Math.PI / 6 });
     }
     
-    focusOnPlanet(planetName) {
-        if (this.planets[planetName]) {
-            const planet = this.planets[planetName];
-            const pos = planet.mesh.position;
-            
-            // Calculate angle to planet
-            this.cameraOrbit.targetTheta = Math.atan2(pos.z, pos.x);
-            this.cameraOrbit.targetRadius = planet.data.distance + planet.data.size * 5;
+    /**
+     * Fly the camera to an orbit around a body and keep following it.
+     * The Sun, or no body at all, ends in the usual orbit around the centre.
+     * The final theta and radius can be fixed instead of chosen for the body.
+     */
+    flyTo(name, { theta, phi = FLIGHT_PHI, radius } = {}) {
+        if (name && name !== 'sun' && !this.planets[name]) return;
+        
+        const planet = this.planets[name] || null;
+        const origin = new THREE.Vector3();
+        
+        // Planets are seen from their sunlit side unless told otherwise
+        if (theta === undefined) {
+            const { x, z } = planet ? planet.mesh.position : this.camera.position;
+            theta = planet ? Math.atan2(-z, -x) + SUNLIT_ANGLE : Math.atan2(z, x);
+        }
+        // Re-evaluated every frame: planets move, and the scale may change mid-flight
+        const destination = (position, target) => {
+            const distance = radius || (name ? this.getBodyRadius(name) * FOLLOW_DISTANCE : this.getDefaultRadius());
+            target.copy(planet ? planet.mesh.position : origin);
+            position.set(
+                Math.sin(phi) * Math.cos(theta),
+                Math.cos(phi),
+                Math.sin(phi) * Math.sin(theta)
+            ).multiplyScalar(distance).add(target);
+        };
+        
+        // Steer around where the bodies are at take-off
+        const obstacles = this.getBodies().map(body => ({ ...body, position: body.position.clone() }));
+        
+        this.flight = new CameraFlight({
+            position: this.camera.position,
+            target: this.getLookTarget(),
+            destination,
+            obstacles,
+            duration: FLIGHT_DURATION
+        });
+        
+        this.cameraMode = 'orbit';
+        this.cameraController.stop();
+        this.followingPlanet = planet ? name : null;
+        this.pan.set(0, 0, 0);
+        this.panTarget.set(0, 0, 0);
+    }
+    
+    getLookTarget() {
+        if (this.cameraMode === 'free') {
+            return this.freeFlight.getLookTarget();
+        }
+        if (this.flight) {
+            return this.flight.target.clone();
+        }
+        if (this.followingPlanet && this.planets[this.followingPlanet]) {
+            return this.planets[this.followingPlanet].mesh.position.clone().add(this.pan);
         }
+        return this.pan.clone();
+    }
+    
+    /**
+     * Jump straight to an orbit, e.g. one restored from a link.
+     */
+    setView({ theta, phi, radius }, followingPlanet = null) {
+        // Frame it for the scale being changed to, not one halfway there
+        if (this.scaleProgress !== this.scaleTarget) {
+            this.scaleProgress = this.scaleBlend = this.scaleTarget;
+            this.applyScale();
+        }
+        
+        this.flight = null;
+        this.cameraMode = 'orbit';
+        this.cameraController.stop();
+        this.followingPlanet = this.planets[followingPlanet] ? followingPlanet : null;
+        this.pan.set(0, 0, 0);
+        this.panTarget.set(0, 0, 0);
+        
+        const { min, max } = this.getZoomLimits();
+        const orbit = this.cameraOrbit;
+        orbit.theta = orbit.targetTheta = theta;
+        orbit.phi = orbit.targetPhi = Math.max(0.1, Math.min(Math.PI - 0.1, phi));
+        orbit.radius = orbit.targetRadius = Math.max(min, Math.min(max, radius));
+    }
+    
+    /**
+     * Sun and planets as { name, position, radius } spheres.
+     */
+    getBodies() {
+        const bodies = [{ name: 'sun', position: this.sun.position, radius: this.getBodyRadius('sun') }];
+        Object.entries(this.planets).forEach(([name, planet]) => {
+            bodies.push({ name, position: planet.mesh.position, radius: this.getBodyRadius(name) });
+        });
+        return bodies;
+    }
+    
+    enterFreeFlight() {
+        this.flight = null;
+        this.cameraController.stop();
+        this.followingPlanet = null;
+        this.freeFlight.enter();
+        this.cameraMode = 'free';
+    }
+    
+    exitFreeFlight() {
+        // Same as letting go of a planet: back out to the whole system
+        this.stopFollowing();
+    }
+    
+    updateFlight(delta) {
+        const flight = this.flight;
+        flight.update(delta);
+        
+        this.camera.position.copy(flight.position);
+        this.camera.lookAt(flight.target);
+        
+        // Keeps the near plane and zoom readout in step during the flight
+        const offset = flight.position.clone().sub(flight.target);
+        this.cameraOrbit.radius = offset.length();
+        
+        if (!flight.finished) return;
+        
+        // Hand over to the orbit camera exactly where the flight ended
+        const orbit = this.cameraOrbit;
+        orbit.radius = orbit.targetRadius = offset.length();
+        orbit.theta = orbit.targetTheta = Math.atan2(offset.z, offset.x);
+        orbit.phi = orbit.targetPhi = Math.acos(offset.y / orbit.radius);
+        this.flight = null;
     }
     
     // Raycasting for planet selection
@@ -680,15 +994,46 @@ export class SolarSystem {
         return null;
     }
     
+    /**
+     * Closest planet (or the sun) whose centre is within maxDistance pixels
+     * of the screen position. Returns { name, x, y, distance } or null.
+     */
+    getNearestPlanetOnScreen(x, y, maxDistance) {
+        const bodies = Object.entries(this.planets).map(([name, p]) => [name, p.mesh]);
+        bodies.push(['sun', this.sun]);
+        
+        const position = new THREE.Vector3();
+        let nearest = null;
+        
+        bodies.forEach(([name, mesh]) => {
+            mesh.getWorldPosition(position).project(this.camera);
+            if (position.z > 1) return; // behind the camera
+            
+            const screenX = (position.x + 1) / 2 * window.innerWidth;
+            const screenY = (1 - position.y) / 2 * window.innerHeight;
+            const distance = Math.hypot(screenX - x, screenY - y);
+            
+            if (distance <= maxDistance && (!nearest || distance < nearest.distance)) {
+                nearest = { name, x: screenX, y: screenY, distance };
+            }
+        });
+        
+        return nearest;
+    }
+    
     highlightPlanet(planetName) {
         // Remove previous highlight
         if (this.hoveredPlanet && this.planets[this.hoveredPlanet]) {
-            this.planets[this.hoveredPlanet].mesh.scale.setScalar(1);
+            const previous = this.planets[this.hoveredPlanet];
+            previous.highlighted = false;
+            this.applyPlanetScale(previous);
         }
         
         // Add new highlight
         if (planetName && this.planets[planetName]) {
-            this.planets[planetName].mesh.scale.setScalar(1.2);
+            const planet = this.planets[planetName];
+            planet.highlighted = true;
+            this.applyPlanetScale(planet);
             this.hoveredPlanet = planetName;
         } else {
             this.hoveredPlanet = null;
@@ -730,6 +1075,13 @@ export class SolarSystem {
             case 'orbitSpeed':
                 // Handled in update loop
                 break;
+            case 'realisticScale':
+                // Animated in update loop
+                this.scaleTarget = value ? 1 : 0;
+                break;
+            case 'cameraInertia':
+                this.cameraController.setInertia(value);
+                break;
         }
     }
     
@@ -738,25 +1090,36 @@ export class SolarSystem {
         const delta = this.clock.getDelta();
         this.time += delta;
         
-        // Smooth camera interpolation
-        const smoothing = 0.05;
-        this.cameraOrbit.theta += (this.cameraOrbit.targetTheta - this.cameraOrbit.theta) * smoothing;
-        this.cameraOrbit.phi += (this.cameraOrbit.targetPhi - this.cameraOrbit.phi) * smoothing;
-        this.cameraOrbit.radius += (this.cameraOrbit.targetRadius - this.cameraOrbit.radius) * smoothing;
+        this.updateScaleTransition(delta);
         
-        // Update camera position
-        if (this.followingPlanet && this.planets[this.followingPlanet]) {
-            const planet = this.planets[this.followingPlanet];
-            const pos = planet.mesh.position.clone();
-            
-            this.camera.position.x = pos.x + this.cameraOrbit.radius * Math.sin(this.cameraOrbit.phi) * Math.cos(this.cameraOrbit.theta);
-            this.camera.position.y = pos.y + this.cameraOrbit.radius * Math.cos(this.cameraOrbit.phi);
-            this.camera.position.z = pos.z + this.cameraOrbit.radius * Math.sin(this.cameraOrbit.phi) * Math.sin(this.cameraOrbit.theta);
-            
-            this.camera.lookAt(pos);
+        if (this.cameraMode === 'free') {
+            this.freeFlight.update(delta);
+        } else if (this.flight) {
+            this.updateFlight(delta);
         } else {
-            this.updateCameraPosition();
+            // Coasting spin, then smooth camera interpolation
+            this.cameraController.update(delta);
+            const smoothing = 0.05;
+            this.cameraOrbit.theta += (this.cameraOrbit.targetTheta - this.cameraOrbit.theta) * smoothing;
+            this.cameraOrbit.phi += (this.cameraOrbit.targetPhi - this.cameraOrbit.phi) * smoothing;
+            this.cameraOrbit.radius += (this.cameraOrbit.targetRadius - this.cameraOrbit.radius) * smoothing;
+            this.pan.lerp(this.panTarget, smoothing);
+            
+            // Update camera position
+            if (this.followingPlanet && this.planets[this.followingPlanet]) {
+                const planet = this.planets[this.followingPlanet];
+                const pos = planet.mesh.position.clone().add(this.pan);
+                
+                this.camera.position.x = pos.x + this.cameraOrbit.radius * Math.sin(this.cameraOrbit.phi) * Math.cos(this.cameraOrbit.theta);
+                this.camera.position.y = pos.y + this.cameraOrbit.radius * Math.cos(this.cameraOrbit.phi);
+                this.camera.position.z = pos.z + this.cameraOrbit.radius * Math.sin(this.cameraOrbit.phi) * Math.sin(this.cameraOrbit.theta);
+                
+                this.camera.lookAt(pos);
+            } else {
+                this.updateCameraPosition();
+            }
         }
+        this.updateNearPlane(this.cameraMode === 'free' ? this.freeFlight.nearest.distance : this.cameraOrbit.radius);
         
         // Sun animation
         this.sun.rotation.y += 0.001;
@@ -767,14 +1130,12 @@ export class SolarSystem {
             this.solarFlares.rotation.y += 0.002;
         }
         
-        // Planet orbits
-        const speedMultiplier = this.settings.orbitSpeed;
-        Object.entries(this.planets).forEach(([name, planet]) => {
-            planet.angle += planet.orbitSpeed * delta * speedMultiplier * 0.1;
-            
-            planet.mesh.position.x = Math.cos(planet.angle) * planet.data.distance;
-            planet.mesh.position.z = Math.sin(planet.angle) * planet.data.distance;
-            
+        // Planet orbits follow the simulated date; the orbit speed setting scales the warp
+        const deltaDays = this.simulationClock.update(delta, this.settings.orbitSpeed);
+        const orbitalDelta = deltaDays / DAYS_PER_SECOND;
+        this.updatePlanetPositions();
+        
+        Object.values(this.planets).forEach(planet => {
             // Planet rotation
             planet.mesh.rotation.y += delta * 0.5;
         });
@@ -782,14 +1143,14 @@ export class SolarSystem {
         // Moon orbits
         Object.entries(this.moons).forEach(([planetName, moons]) => {
             moons.forEach(moon => {
-                moon.angle += moon.speed * delta * speedMultiplier;
+                moon.angle += moon.speed * orbitalDelta;
                 moon.orbit.rotation.y = moon.angle;
             });
         });
         
         // Asteroid belt rotation
         if (this.asteroidBelt) {
-            this.asteroidBelt.rotation.y += delta * 0.02 * speedMultiplier;
+            this.asteroidBelt.rotation.y += orbitalDelta * 0.02;
         }
         
         // Starfield parallax
@@ -801,12 +1162,34 @@ export class SolarSystem {
         this.composer.render();
     }
     
+    updatePlanetPositions() {
+        Object.entries(this.planets).forEach(([name, planet]) => {
+            const data = planet.data;
+            if (!data.orbit) return;
+            
+            // Heliocentric position in AU, scaled like the orbit line
+            const pos = getHeliocentricPosition(
+                data.orbit,
+                data.semiMajorAxisAU,
+                this.simulationClock.julianDate,
+                this.heliocentric[name] || (this.heliocentric[name] = {})
+            );
+            const scale = planet.displayDistance / data.semiMajorAxisAU;
+            planet.mesh.position.set(pos.x * scale, pos.y * scale, pos.z * scale);
+        });
+    }
+    
+    getSimulationDate() {
+        return this.simulationClock.getDate();
+    }
+    
     // Get current camera info
     getCameraInfo() {
+        const { min, max } = this.getZoomLimits();
         return {
             rotation: Math.round((this.cameraOrbit.theta * 180 / Math.PI) % 360),
             elevation: Math.round((90 - this.cameraOrbit.phi * 180 / Math.PI)),
-            zoom: Math.round((1 - (this.cameraOrbit.radius - 20) / 180) * 100)
+            zoom: Math.round((1 - (this.cameraOrbit.radius - min) / (max - min)) * 100)
         };
     }
     
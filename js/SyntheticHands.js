@@ -0,0 +1,158 @@
+/**
+ * 🤖 Synthetic Hands
+ * Procedural hand landmarks for scripted, camera-free input
+ */
+
+import { RECORDING_VERSION } from './LandmarkRecording.js';
+
+const IMAGE_ASPECT = 640 / 480;
+const DEG_TO_RAD = Math.PI / 180;
+
+// Hand model in palm lengths: wrist at the origin, fingers pointing up (-y), palm facing the camera
+const KNUCKLE_X = [-0.3, -0.1, 0.1, 0.3];
+const BONE_LENGTHS = [0.45, 0.3, 0.25];
+
+const THUMB_OPEN = [[-0.3, -0.2, 0], [-0.55, -0.4, 0], [-0.75, -0.55, 0], [-0.9, -0.7, 0]];
+const THUMB_TUCKED = [[-0.3, -0.2, 0], [-0.45, -0.45, 0], [-0.2, -0.55, 0.2], [0.15, -0.4, 0.2]];
+
+/**
+ * Finger bend (total degrees over the three joints), sideways splay (degrees)
+ * and thumb position per pose.
+ */
+export const SYNTHETIC_POSES = {
+    palm: { curls: [10, 10, 10, 10], splay: [-8, -3, 3, 8], thumb: 'open' },
+    fist: { curls: [250, 250, 250, 250], splay: [0, 0, 0, 0], thumb: 'tucked' },
+    point: { curls: [10, 250, 250, 250], splay: [0, 0, 0, 0], thumb: 'tucked' },
+    pinch: { curls: [70, 250, 250, 250], splay: [0, 0, 0, 0], thumb: 'pinch' },
+    victory: { curls: [10, 10, 250, 250], splay: [-15, 15, 0, 0], thumb: 'tucked' },
+    relaxed: { curls: [10, 10, 10, 10], splay: [-8, -3, 3, 8], thumb: 'tucked' }
+};
+
+// Plays through every built-in gesture
+export const DEMO_SCRIPT = [
+    { pose: 'relaxed', duration: 3000, from: { x: 0.35, y: 0.6 }, to: { x: 0.65, y: 0.55 } },
+    { pose: 'point', duration: 2500, from: { x: 0.5, y: 0.6 }, to: { x: 0.5, y: 0.6 } },
+    { pose: 'pinch', duration: 2000, scaleTo: 1.3 },
+    { pose: 'victory', duration: 2500, from: { x: 0.5, y: 0.6 }, to: { x: 0.4, y: 0.6 } },
+    { pose: 'fist', duration: 1500 },
+    { pose: 'palm', duration: 2000 },
+    { pose: null, duration: 1000 }
+];
+
+/**
+ * 21 MediaPipe-style landmarks for a pose, placed with the wrist at (x, y) in
+ * normalized image coordinates, `scale` palm lengths of 0.15 image heights and
+ * rolled by `rotation` radians.
+ */
+export function createHandLandmarks(pose, { x = 0.5, y = 0.6, scale = 1, rotation = 0 } = {}) {
+    const shape = SYNTHETIC_POSES[pose];
+    if (!shape) {
+        throw new Error(`Unknown synthetic pose "${pose}"`);
+    }
+    
+    const points = new Array(21);
+    points[0] = [0, 0, 0];
+    
+    // Long fingers bend towards the camera (+z) in equal steps per joint
+    KNUCKLE_X.forEach((knuckleX, f) => {
+        const base = 5 + f * 4;
+        const splay = shape.splay[f] * DEG_TO_RAD;
+        let [px, py, pz] = [knuckleX, -1, 0];
+        let bend = 0;
+        
+        points[base] = [px, py, pz];
+        BONE_LENGTHS.forEach((length, j) => {
+            bend += (shape.curls[f] / 3) * DEG_TO_RAD;
+            const along = length * Math.cos(bend);
+            px += along * Math.sin(splay);
+            py -= along * Math.cos(splay);
+            pz += length * Math.sin(bend);
+            points[base + j + 1] = [px, py, pz];
+        });
+    });
+    
+    const thumb = shape.thumb === 'open' ? THUMB_OPEN : THUMB_TUCKED;
+    thumb.forEach((point, i) => {
+        points[1 + i] = point;
+    });
+    
+    // Thumb tip meets the index fingertip
+    if (shape.thumb === 'pinch') {
+        const [ix, iy, iz] = points[8];
+        points[4] = [ix - 0.05, iy + 0.05, iz];
+    }
+    
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const size = 0.15 * scale;
+    
+    return points.map(([px, py, pz]) => ({
+        x: x + size * (px * cos - py * sin) / IMAGE_ASPECT,
+        y: y + size * (px * sin + py * cos),
+        z: size * pz / IMAGE_ASPECT
+    }));
+}
+
+/**
+ * Render a script of poses into a landmark recording (see LandmarkRecording.js).
+ * Each step holds `pose` for `duration` ms, optionally moving from/to a position
+ * and scaling from 1 to `scaleTo`. A null pose means no hand in view.
+ */
+export function createSyntheticRecording(script, fps = 30) {
+    const frameTime = 1000 / fps;
+    const events = [];
+    let t = 0;
+    let position = { x: 0.5, y: 0.6 };
+    
+    script.forEach(step => {
+        const from = step.from || position;
+        const to = step.to || from;
+        const frames = Math.max(1, Math.round(step.duration / frameTime));
+        
+        for (let i = 0; i < frames; i++) {
+            const progress = frames > 1 ? i / (frames - 1) : 1;
+            const time = Math.round(t + i * frameTime);
+            
+            if (!step.pose) {
+                if (i === 0) events.push({ t: time, type: 'handLost' });
+                continue;
+            }
+            
+            const landmarks = createHandLandmarks(step.pose, {
+                x: from.x + (to.x - from.x) * progress,
+                y: from.y + (to.y - from.y) * progress,
+                scale: 1 + ((step.scaleTo || 1) - 1) * progress,
+                rotation: step.rotation || 0
+            });
+            
+            events.push({
+                t: time,
+                type: 'handDetected',
+                hands: [{ handedness: 'Right', landmarks: landmarks.map(lm => [lm.x, lm.y, lm.z]) }]
+            });
+        }
+        
+        t += step.duration;
+        position = to;
+    });
+    
+    return {
+        version: RECORDING_VERSION,
+        recordedAt: new Date().toISOString(),
+        duration: t,
+        events
+    };
+}
+
+/**
+ * Parse a compact script such as "palm:1500,point:2000,none:500".
+ */
+export function parseScript(text) {
+    return text.split(',').map(part => {
+        const [pose, duration] = part.trim().split(':');
+        if (pose !== 'none' && !SYNTHETIC_POSES[pose]) {
+            throw new Error(`Unknown synthetic pose "${pose}"`);
+        }
+        return { pose: pose === 'none' ? null : pose, duration: parseInt(duration) || 1000 };
+    });
+}
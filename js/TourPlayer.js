@@ -0,0 +1,317 @@
+/**
+ * 🎓 Tour Player
+ * Plays guided tours: scripted steps that fly the camera, set the time
+ * warp and overlays, and show a narration caption
+ *
+ * A tour is JSON: { "title": "...", "steps": [step, ...] } where a step is
+ *   target    body to fly to, or "overview" for the whole system
+ *   warp      a time-warp label such as "1 day/s", or "paused"
+ *   settings  on/off overlays, e.g. { "showOrbits": true }
+ *   title     caption heading
+ *   caption   narration text
+ *   duration  seconds before moving on (including the flight there)
+ *   waitFor   hand gesture that moves on: point, pinch, rotate, palm or twoHand
+ * Every field is optional. A step with neither duration nor waitFor stays
+ * until the viewer skips ahead.
+ */
+
+import { PLANET_DATA } from './data.js';
+import { TIME_WARP_LEVELS } from './SimulationClock.js';
+import { SHARED_SETTINGS } from './ViewLink.js';
+
+export const TOUR_VERSION = 1;
+
+// Fist and V sign control playback during a tour, so they can't be waited for
+export const TOUR_GESTURES = ['point', 'pinch', 'rotate', 'palm', 'twoHand'];
+
+const PLANET_STOPS = ['mercury', 'venus', 'earth', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune'];
+
+// Overlays switched on when the Grand Tour reaches a planet
+const STOP_SETTINGS = { jupiter: { showMoons: true } };
+
+function planetStep(name, extra = {}) {
+    const planet = PLANET_DATA[name];
+    return {
+        target: name,
+        title: `${planet.icon} ${planet.name}`,
+        caption: `${planet.description}\n\n💡 ${planet.funFact}`,
+        duration: 14,
+        ...extra
+    };
+}
+
+export const GRAND_TOUR = {
+    title: 'Grand Tour of the Planets',
+    steps: [
+        {
+            target: 'overview',
+            warp: '1 week/s',
+            settings: { showOrbits: true, showLabels: true, realisticScale: false },
+            title: '🌌 Welcome aboard',
+            caption: 'Eight planets circle the Sun, each on its own orbit. We\'ll visit them in order, from the closest to the farthest.',
+            duration: 10
+        },
+        planetStep('sun', { warp: '1 day/s' }),
+        ...PLANET_STOPS.map(name => planetStep(name, { settings: STOP_SETTINGS[name] })),
+        {
+            target: 'overview',
+            warp: '1 month/s',
+            settings: { showAsteroids: true },
+            title: '🪨 The asteroid belt',
+            caption: 'Between Mars and Jupiter, millions of rocky fragments orbit the Sun - leftovers from when the planets formed.',
+            duration: 12
+        },
+        {
+            target: 'overview',
+            settings: { realisticScale: true },
+            title: '📏 The true scale',
+            caption: 'Until now sizes and distances were squeezed to fit the screen. This is the real scale: the planets shrink to specks in a lot of empty space.\n\nPinch to zoom in and look around, or skip ahead to finish.',
+            waitFor: 'pinch',
+            duration: 30
+        }
+    ]
+};
+
+/**
+ * Parse and check a tour file. Throws an Error saying what is wrong.
+ */
+export function parseTour(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Not a JSON file');
+    }
+    
+    if (!data || !Array.isArray(data.steps) || data.steps.length === 0) {
+        throw new Error('No steps in this tour');
+    }
+    if (data.version !== undefined && data.version !== TOUR_VERSION) {
+        throw new Error(`Unsupported tour version ${data.version}`);
+    }
+    
+    const warps = TIME_WARP_LEVELS.map(level => level.label);
+    const steps = data.steps.map((step, i) => {
+        const fail = message => { throw new Error(`Step ${i + 1}: ${message}`); };
+        if (!step || typeof step !== 'object') fail('not an object');
+        
+        const { target, warp, settings = {}, title = '', caption = '', duration, waitFor } = step;
+        if (target !== undefined && target !== 'overview' && !PLANET_DATA[target]) {
+            fail(`unknown target "${target}"`);
+        }
+        if (warp !== undefined && warp !== 'paused' && !warps.includes(warp)) {
+            fail(`unknown warp "${warp}"`);
+        }
+        Object.entries(settings).forEach(([setting, value]) => {
+            if (!SHARED_SETTINGS.includes(setting)) fail(`unknown setting "${setting}"`);
+            if (typeof value !== 'boolean') fail(`"${setting}" must be true or false`);
+        });
+        if (typeof title !== 'string' || typeof caption !== 'string') {
+            fail('title and caption must be text');
+        }
+        if (duration !== undefined && !(Number.isFinite(duration) && duration > 0)) {
+            fail('duration must be a number of seconds');
+        }
+        if (waitFor !== undefined && !TOUR_GESTURES.includes(waitFor)) {
+            fail(`can't wait for "${waitFor}"`);
+        }
+        
+        return { target, warp, settings, title, caption, duration, waitFor };
+    });
+    
+    return { title: typeof data.title === 'string' ? data.title : 'Custom Tour', steps };
+}
+
+export class TourPlayer {
+    constructor(ui) {
+        this.ui = ui;
+        this.solarSystem = ui.solarSystem;
+        this.gestureController = ui.gestureController;
+        
+        this.tour = null;
+        this.index = 0;
+        this.paused = false;
+        this.stepElapsed = 0; // ms
+        this.lastUpdate = null;
+        
+        // What the tour changed, put back when it ends
+        this.savedState = null;
+        
+        this.elements = {};
+    }
+    
+    init() {
+        const panel = document.getElementById('tour-panel');
+        this.elements = { panel };
+        panel.querySelectorAll('[data-field]').forEach(field => {
+            this.elements[field.dataset.field] = field;
+        });
+        panel.querySelectorAll('[data-tour]').forEach(button => {
+            button.addEventListener('click', () => this.control(button.dataset.tour));
+        });
+        
+        this.gestureController.on('tourControl', action => this.control(action));
+        this.gestureController.on('gesture', gesture => {
+            const step = this.getStep();
+            if (step && !this.paused && step.waitFor === gesture) this.next();
+        });
+    }
+    
+    isPlaying() {
+        return this.tour !== null;
+    }
+    
+    getStep() {
+        return this.tour ? this.tour.steps[this.index] : null;
+    }
+    
+    start(tour) {
+        if (this.tour) this.finish();
+        
+        const clock = this.solarSystem.simulationClock;
+        this.savedState = {
+            settings: Object.fromEntries(SHARED_SETTINGS.map(setting => [setting, this.ui.settings[setting]])),
+            warpIndex: clock.warpIndex,
+            paused: clock.isPaused()
+        };
+        
+        if (this.solarSystem.cameraMode === 'free') {
+            this.gestureController.toggleFreeFlight();
+        }
+        
+        this.tour = tour;
+        this.gestureController.setTourActive(true);
+        this.elements.panel.classList.remove('hidden');
+        this.elements.tourTitle.textContent = tour.title;
+        this.goTo(0);
+    }
+    
+    /**
+     * End the tour and put the clock and overlays back how they were.
+     */
+    finish() {
+        if (!this.tour) return;
+        
+        this.tour = null;
+        this.gestureController.setTourActive(false);
+        this.elements.panel.classList.add('hidden');
+        
+        const { settings, warpIndex, paused } = this.savedState;
+        Object.entries(settings).forEach(([setting, value]) => {
+            if (this.ui.settings[setting] !== value) this.ui.setSetting(setting, value, { persist: false });
+        });
+        
+        const clock = this.solarSystem.simulationClock;
+        clock.setWarpIndex(warpIndex);
+        if (paused) {
+            clock.pause();
+        } else {
+            clock.resume();
+        }
+        this.savedState = null;
+    }
+    
+    control(action) {
+        if (!this.tour) return;
+        
+        switch (action) {
+            case 'next':
+                this.next();
+                break;
+            case 'previous':
+                this.goTo(Math.max(0, this.index - 1));
+                break;
+            case 'pause':
+                this.togglePause();
+                break;
+            case 'stop':
+                this.finish();
+                this.ui.showNotification('🎓 Tour ended');
+                break;
+        }
+    }
+    
+    next() {
+        if (this.index + 1 < this.tour.steps.length) {
+            this.goTo(this.index + 1);
+        } else {
+            this.finish();
+            this.ui.showNotification('🎓 Tour complete!');
+        }
+    }
+    
+    togglePause() {
+        this.paused = !this.paused;
+        this.elements.pauseButton.textContent = this.paused ? '▶' : '⏸';
+    }
+    
+    goTo(index) {
+        this.index = index;
+        this.stepElapsed = 0;
+        this.lastUpdate = null;
+        if (this.paused) this.togglePause();
+        
+        const step = this.getStep();
+        this.applyStep(step);
+        
+        this.elements.counter.textContent = `${index + 1} / ${this.tour.steps.length}`;
+        this.elements.stepTitle.textContent = step.title;
+        this.elements.caption.textContent = step.caption;
+        this.elements.waitHint.textContent = this.describeWait(step);
+        this.elements.progress.style.width = '0%';
+    }
+    
+    applyStep(step) {
+        // Tour overlays never reach the viewer's saved settings
+        Object.entries(step.settings || {}).forEach(([setting, value]) => {
+            if (this.ui.settings[setting] !== value) this.ui.setSetting(setting, value, { persist: false });
+        });
+        
+        const clock = this.solarSystem.simulationClock;
+        if (step.warp === 'paused') {
+            clock.pause();
+        } else if (step.warp) {
+            clock.setWarpIndex(TIME_WARP_LEVELS.findIndex(level => level.label === step.warp));
+            clock.resume();
+        }
+        
+        if (step.target === 'overview') {
+            this.gestureController.manualReset();
+            this.ui.hidePlanetInfo();
+        } else if (step.target) {
+            this.gestureController.focusPlanet(step.target);
+        }
+    }
+    
+    describeWait(step) {
+        const gestures = {
+            point: '👆 Point at the screen',
+            pinch: '🤏 Pinch',
+            rotate: '✋ Move your open hand',
+            palm: '🖐️ Show your palm',
+            twoHand: '🙌 Raise both hands'
+        };
+        if (step.waitFor) return `${gestures[step.waitFor]} to continue`;
+        if (!step.duration) return '⏭ Skip ahead when you\'re ready';
+        return '';
+    }
+    
+    /**
+     * Call once per rendered frame.
+     */
+    update(now = performance.now()) {
+        const step = this.getStep();
+        if (!step) return;
+        
+        if (this.lastUpdate !== null && !this.paused) {
+            this.stepElapsed += now - this.lastUpdate;
+        }
+        this.lastUpdate = now;
+        
+        if (!step.duration) return;
+        
+        const progress = Math.min(1, this.stepElapsed / (step.duration * 1000));
+        this.elements.progress.style.width = `${progress * 100}%`;
+        if (progress >= 1) this.next();
+    }
+}
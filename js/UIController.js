@@ -4,6 +4,53 @@
  */
 
 import { PLANET_DATA } from './data.js';
+import { formatDistanceFromSun, formatOrbitalPeriod, formatDiameter } from './PlanetStats.js';
+import { CustomGesturePanel } from './CustomGesturePanel.js';
+import { CalibrationPanel } from './CalibrationPanel.js';
+import { ComparisonPanel } from './ComparisonPanel.js';
+import { HandCursor } from './HandCursor.js';
+import { JoystickRing } from './JoystickRing.js';
+import { FlightHud } from './FlightHud.js';
+import { ViewLink } from './ViewLink.js';
+import { TourPlayer, GRAND_TOUR, parseTour } from './TourPlayer.js';
+import { QuizMode, parseQuestionBank } from './QuizMode.js';
+import { LandmarkRecorder } from './LandmarkRecording.js';
+import { INPUT_SOURCES } from './InputSources.js';
+
+// Form fields that take typing, where shortcut keys are left alone
+const TEXT_ENTRY_FIELDS = [
+    'input:not([type])', 'input[type="text"]', 'input[type="number"]', 'input[type="date"]',
+    'input[type="datetime-local"]', 'input[type="search"]', 'textarea', 'select'
+].join(', ');
+
+// Mouse travel (px) between press and release that still counts as a click
+const CLICK_SLOP = 5;
+
+// Free-flight keys: movement axis and direction
+const FLIGHT_KEYS = {
+    w: ['forward', 1],
+    s: ['forward', -1],
+    d: ['strafe', 1],
+    a: ['strafe', -1],
+    e: ['lift', 1],
+    q: ['lift', -1],
+    z: ['roll', 1],
+    c: ['roll', -1]
+};
+
+// Keys that drive a running tour
+const TOUR_KEYS = {
+    ArrowRight: 'next',
+    ArrowLeft: 'previous',
+    ' ': 'pause',
+    Escape: 'stop'
+};
+
+// Keys that drive an open quiz
+const QUIZ_KEYS = {
+    ArrowRight: 'skip',
+    Escape: 'stop'
+};
 
 export class UIController {
     constructor(solarSystem, gestureController, settings) {
@@ -21,9 +68,35 @@ export class UIController {
             planetInfo: false
         };
         
+        // Body shown in the planet info panel
+        this.infoPlanet = null;
+        
+        // Last hover position of the mouse over the scene (null while dragging or outside)
+        this.mousePointer = null;
+        
+        // Free-flight keys held down (lower case, plus 'shift' for boost)
+        this.flightKeys = new Set();
+        
+        // Active landmark recording, if any
+        this.recorder = null;
+        this.inputSourceType = null;
+        
+        // Sub-panels
+        this.customGesturePanel = new CustomGesturePanel(gestureController, this);
+        this.calibrationPanel = new CalibrationPanel(gestureController, this);
+        this.comparisonPanel = new ComparisonPanel(this);
+        this.handCursor = new HandCursor(gestureController);
+        this.joystickRing = new JoystickRing(gestureController);
+        this.flightHud = new FlightHud(solarSystem);
+        this.viewLink = new ViewLink(this);
+        this.tourPlayer = new TourPlayer(this);
+        this.quizMode = new QuizMode(this);
+        
         // Event callbacks
         this.callbacks = {
-            settingChanged: []
+            settingChanged: [],
+            settingsReset: [],
+            inputSourceRequested: []
         };
     }
     
@@ -31,6 +104,15 @@ export class UIController {
         this.cacheElements();
         this.bindEvents();
         this.initSettings();
+        this.customGesturePanel.init();
+        this.calibrationPanel.init();
+        this.comparisonPanel.init();
+        this.handCursor.init();
+        this.joystickRing.init();
+        this.flightHud.init();
+        this.viewLink.init();
+        this.tourPlayer.init();
+        this.quizMode.init();
     }
     
     cacheElements() {
@@ -42,6 +124,20 @@ export class UIController {
             followingInfo: document.getElementById('following-info'),
             followingValue: document.getElementById('following-value'),
             
+            // Simulation time
+            simDate: document.getElementById('sim-date'),
+            simWarp: document.getElementById('sim-warp'),
+            timeStepBack: document.getElementById('time-step-back'),
+            timeSlower: document.getElementById('time-slower'),
+            timePause: document.getElementById('time-pause'),
+            timeFaster: document.getElementById('time-faster'),
+            timeStepForward: document.getElementById('time-step-forward'),
+            timeReverse: document.getElementById('time-reverse'),
+            timeStepUnit: document.getElementById('time-step-unit'),
+            timeJump: document.getElementById('time-jump'),
+            timeJumpDate: document.getElementById('time-jump-date'),
+            timeNow: document.getElementById('time-now'),
+            
             // Planet info
             planetInfo: document.getElementById('planet-info'),
             planetIcon: document.getElementById('planet-icon'),
@@ -54,6 +150,7 @@ export class UIController {
             planetDescription: document.getElementById('planet-description'),
             planetFunfact: document.getElementById('planet-funfact'),
             closePlanetInfo: document.getElementById('close-planet-info'),
+            btnComparePlanet: document.getElementById('btn-compare-planet'),
             
             // Panels
             controlsGuide: document.getElementById('controls-guide'),
@@ -63,7 +160,12 @@ export class UIController {
             btnHelp: document.getElementById('btn-help'),
             btnSettings: document.getElementById('btn-settings'),
             btnScreenshot: document.getElementById('btn-screenshot'),
+            btnCopyLink: document.getElementById('btn-copy-link'),
             btnReset: document.getElementById('btn-reset'),
+            btnFreeFlight: document.getElementById('btn-free-flight'),
+            btnTour: document.getElementById('btn-tour'),
+            btnQuiz: document.getElementById('btn-quiz'),
+            btnCompare: document.getElementById('btn-compare'),
             btnSound: document.getElementById('btn-sound'),
             
             // Planet bar
@@ -76,6 +178,22 @@ export class UIController {
             showAsteroids: document.getElementById('show-asteroids'),
             orbitSpeed: document.getElementById('orbit-speed'),
             realisticScale: document.getElementById('realistic-scale'),
+            cameraInertia: document.getElementById('camera-inertia'),
+            rotationMode: document.getElementById('rotation-mode'),
+            showPerformance: document.getElementById('show-performance'),
+            handSmoothing: document.getElementById('hand-smoothing'),
+            handRotateSensitivity: document.getElementById('hand-rotate-sensitivity'),
+            handZoomSensitivity: document.getElementById('hand-zoom-sensitivity'),
+            rememberView: document.getElementById('remember-view'),
+            btnResetSettings: document.getElementById('btn-reset-settings'),
+            showFilterPlot: document.getElementById('show-filter-plot'),
+            btnCustomGestures: document.getElementById('btn-custom-gestures'),
+            btnCalibrate: document.getElementById('btn-calibrate'),
+            btnRecord: document.getElementById('btn-record'),
+            tourFile: document.getElementById('tour-file'),
+            quizFile: document.getElementById('quiz-file'),
+            inputSource: document.getElementById('input-source'),
+            inputSourceFile: document.getElementById('input-source-file'),
             
             // Audio
             ambientAudio: document.getElementById('ambient-audio')
@@ -87,11 +205,35 @@ export class UIController {
         this.elements.btnHelp.addEventListener('click', () => this.togglePanel('controls'));
         this.elements.btnSettings.addEventListener('click', () => this.togglePanel('settings'));
         this.elements.btnScreenshot.addEventListener('click', () => this.takeScreenshot());
+        this.elements.btnCopyLink.addEventListener('click', () => this.copyLink());
         this.elements.btnReset.addEventListener('click', () => this.resetView());
+        this.elements.btnFreeFlight.addEventListener('click', () => this.toggleFreeFlight());
+        this.elements.btnTour.addEventListener('click', () => this.toggleTour());
+        this.elements.btnQuiz.addEventListener('click', () => this.toggleQuiz());
+        this.elements.btnCompare.addEventListener('click', () => this.toggleComparison());
         this.elements.btnSound.addEventListener('click', () => this.toggleSound());
         
+        // The icon follows what is actually playing - autoplay can be blocked
+        this.elements.ambientAudio.addEventListener('playing', () => this.updateSoundButton(true));
+        this.elements.ambientAudio.addEventListener('pause', () => this.updateSoundButton(false));
+        
+        // Simulation time controls
+        const clock = this.solarSystem.simulationClock;
+        this.elements.timeStepBack.addEventListener('click', () => this.stepTime(-1));
+        this.elements.timeStepForward.addEventListener('click', () => this.stepTime(1));
+        this.elements.timeSlower.addEventListener('click', () => clock.slower());
+        this.elements.timeFaster.addEventListener('click', () => clock.faster());
+        this.elements.timePause.addEventListener('click', () => clock.togglePause());
+        this.elements.timeReverse.addEventListener('click', () => clock.reverse());
+        this.elements.timeNow.addEventListener('click', () => clock.resetToNow());
+        this.elements.timeJump.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.jumpToDate(this.elements.timeJumpDate.value);
+        });
+        
         // Close planet info
         this.elements.closePlanetInfo.addEventListener('click', () => this.hidePlanetInfo());
+        this.elements.btnComparePlanet.addEventListener('click', () => this.openComparison(this.infoPlanet));
         
         // Planet selection buttons
         this.elements.planetButtons.forEach(btn => {
@@ -129,20 +271,144 @@ export class UIController {
             this.onSettingChanged('realisticScale', e.target.checked);
         });
         
+        this.elements.rotationMode.addEventListener('change', (e) => {
+            this.onSettingChanged('rotationMode', e.target.value);
+        });
+        
+        this.elements.cameraInertia.addEventListener('input', (e) => {
+            this.onSettingChanged('cameraInertia', parseInt(e.target.value) / 100);
+        });
+        
+        this.elements.showPerformance.addEventListener('change', (e) => {
+            this.onSettingChanged('showPerformance', e.target.checked);
+        });
+        
+        this.elements.handSmoothing.addEventListener('input', (e) => {
+            this.onSettingChanged('handSmoothing', parseInt(e.target.value) / 100);
+        });
+        
+        this.elements.handRotateSensitivity.addEventListener('input', (e) => {
+            this.onSettingChanged('handRotateSensitivity', parseInt(e.target.value) / 100);
+        });
+        
+        this.elements.handZoomSensitivity.addEventListener('input', (e) => {
+            this.onSettingChanged('handZoomSensitivity', parseInt(e.target.value) / 100);
+        });
+        
+        this.elements.rememberView.addEventListener('change', (e) => {
+            this.onSettingChanged('rememberView', e.target.checked);
+        });
+        
+        this.elements.btnResetSettings.addEventListener('click', () => this.emit('settingsReset'));
+        
+        this.elements.showFilterPlot.addEventListener('change', (e) => {
+            this.onSettingChanged('showFilterPlot', e.target.checked);
+        });
+        
+        this.elements.btnCustomGestures.addEventListener('click', () => {
+            this.closeAllPanels();
+            this.customGesturePanel.open();
+        });
+        
+        this.elements.btnCalibrate.addEventListener('click', () => {
+            this.closeAllPanels();
+            this.calibrationPanel.open();
+        });
+        
+        this.elements.btnRecord.addEventListener('click', () => this.toggleRecording());
+        
+        this.elements.tourFile.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            
+            try {
+                this.startTour(parseTour(await file.text()));
+            } catch (error) {
+                console.warn('Could not load tour:', error);
+                this.showNotification(`⚠️ ${error.message}`);
+            }
+        });
+        
+        this.elements.quizFile.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            
+            try {
+                this.startQuiz(parseQuestionBank(await file.text()));
+            } catch (error) {
+                console.warn('Could not load questions:', error);
+                this.showNotification(`⚠️ ${error.message}`);
+            }
+        });
+        
+        // Input source: file-based sources ask for a file first
+        this.elements.inputSource.addEventListener('change', (e) => {
+            const type = e.target.value;
+            e.target.value = this.inputSourceType;
+            
+            if (type === 'video' || type === 'replay') {
+                const fileInput = this.elements.inputSourceFile;
+                fileInput.dataset.source = type;
+                fileInput.accept = type === 'video' ? 'video/*' : 'application/json,.json';
+                fileInput.click();
+            } else {
+                this.emit('inputSourceRequested', type, {});
+            }
+        });
+        
+        this.elements.inputSourceFile.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            const type = e.target.dataset.source;
+            e.target.value = '';
+            if (!file) return;
+            
+            const options = type === 'video' ?
+                { src: URL.createObjectURL(file) } :
+                { recording: await file.text() };
+            this.emit('inputSourceRequested', type, options);
+        });
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyboard(e));
+        document.addEventListener('keyup', (e) => {
+            if (this.flightKeys.delete(e.key.toLowerCase())) this.updateFlightMovement();
+        });
+        window.addEventListener('blur', () => {
+            this.flightKeys.clear();
+            this.updateFlightMovement();
+        });
         
         // Mouse/touch fallback controls
         this.initFallbackControls();
     }
     
     initSettings() {
+        // Input source choices
+        Object.entries(INPUT_SOURCES).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.elements.inputSource.appendChild(option);
+        });
+        
         // Set initial values from settings
         this.elements.showLabels.checked = this.settings.showLabels;
         this.elements.showOrbits.checked = this.settings.showOrbits;
         this.elements.showMoons.checked = this.settings.showMoons;
         this.elements.showAsteroids.checked = this.settings.showAsteroids;
         this.elements.orbitSpeed.value = this.settings.orbitSpeed * 100;
+        this.elements.realisticScale.checked = this.settings.realisticScale;
+        this.elements.rotationMode.value = this.settings.rotationMode;
+        this.elements.cameraInertia.value = this.settings.cameraInertia * 100;
+        this.elements.showPerformance.checked = this.settings.showPerformance;
+        this.elements.handSmoothing.value = this.settings.handSmoothing * 100;
+        this.elements.handRotateSensitivity.value = this.settings.handRotateSensitivity * 100;
+        this.elements.handZoomSensitivity.value = this.settings.handZoomSensitivity * 100;
+        this.elements.rememberView.checked = this.settings.rememberView;
+        this.updateSoundButton(false);
+        this.elements.showFilterPlot.checked = this.settings.showFilterPlot;
     }
     
     initFallbackControls() {
@@ -150,15 +416,23 @@ export class UIController {
         let isDragging = false;
         let lastX = 0;
         let lastY = 0;
+        let downX = 0;
+        let downY = 0;
         
         canvas.addEventListener('mousedown', (e) => {
             isDragging = true;
-            lastX = e.clientX;
-            lastY = e.clientY;
+            this.gestureController.beginManualRotate();
+            this.endMousePointing();
+            lastX = downX = e.clientX;
+            lastY = downY = e.clientY;
         });
         
         canvas.addEventListener('mousemove', (e) => {
-            if (!isDragging) return;
+            if (!isDragging) {
+                // Hovering highlights the planet under the cursor, like pointing
+                this.mousePointer = { x: e.clientX, y: e.clientY };
+                return;
+            }
             
             const deltaX = (e.clientX - lastX) * 0.01;
             const deltaY = (e.clientY - lastY) * 0.01;
@@ -169,12 +443,25 @@ export class UIController {
             lastY = e.clientY;
         });
         
+        // Letting go keeps the camera spinning with the drag's momentum
         canvas.addEventListener('mouseup', () => {
+            if (isDragging) this.gestureController.endManualRotate();
             isDragging = false;
         });
         
         canvas.addEventListener('mouseleave', () => {
+            if (isDragging) this.gestureController.endManualRotate();
             isDragging = false;
+            this.endMousePointing();
+        });
+        
+        // Click a planet (or close to one) to select it; the end of a drag isn't a click
+        canvas.addEventListener('click', (e) => {
+            if (Math.hypot(e.clientX - downX, e.clientY - downY) > CLICK_SLOP) return;
+            if (this.solarSystem.cameraMode === 'free') return;
+            
+            const { planet } = this.gestureController.findPointedPlanet(e.clientX, e.clientY);
+            if (planet) this.selectPlanet(planet);
         });
         
         // Zoom with mouse wheel
@@ -191,10 +478,19 @@ export class UIController {
         
         canvas.addEventListener('touchstart', (e) => {
             if (e.touches.length === 1) {
-                touchStartX = e.touches[0].clientX;
-                touchStartY = e.touches[0].clientY;
+                // A tap is clicked where it lands
+                touchStartX = downX = e.touches[0].clientX;
+                touchStartY = downY = e.touches[0].clientY;
+                this.gestureController.beginManualRotate();
             } else if (e.touches.length === 2) {
                 touchStartDistance = this.getTouchDistance(e.touches);
+                this.gestureController.endManualRotate();
+            }
+        });
+        
+        canvas.addEventListener('touchend', (e) => {
+            if (e.touches.length === 0) {
+                this.gestureController.endManualRotate();
             }
         });
         
@@ -218,13 +514,107 @@ export class UIController {
         });
     }
     
+    endMousePointing() {
+        if (!this.mousePointer) return;
+        
+        this.mousePointer = null;
+        this.gestureController.endPointing();
+    }
+    
     getTouchDistance(touches) {
         const dx = touches[0].clientX - touches[1].clientX;
         const dy = touches[0].clientY - touches[1].clientY;
         return Math.sqrt(dx * dx + dy * dy);
     }
     
+    setInputSource(type) {
+        this.inputSourceType = type;
+        this.elements.inputSource.value = type;
+    }
+    
+    toggleRecording() {
+        const btn = this.elements.btnRecord;
+        
+        if (!this.recorder) {
+            if (!this.gestureController.handTracker.isRunning) {
+                this.showNotification('📷 Hand tracking is not available');
+                return;
+            }
+            
+            this.recorder = new LandmarkRecorder(this.gestureController.handTracker);
+            this.recorder.start();
+            btn.textContent = 'Stop';
+            btn.classList.add('recording');
+            this.showNotification('⏺️ Recording hand landmarks');
+            return;
+        }
+        
+        const recording = this.recorder.stop();
+        this.recorder = null;
+        btn.textContent = 'Record';
+        btn.classList.remove('recording');
+        
+        if (recording.events.length === 0) {
+            this.showNotification('📼 Nothing recorded - no hands were seen');
+            return;
+        }
+        
+        // Download the recording as JSON
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = `solarhand-recording-${Date.now()}.json`;
+        link.href = url;
+        link.click();
+        URL.revokeObjectURL(url);
+        
+        this.showNotification(`📼 Saved ${recording.events.length} frames`);
+    }
+    
+    stepTime(direction, unit = this.elements.timeStepUnit.value) {
+        this.solarSystem.simulationClock.step(unit, direction);
+    }
+    
+    jumpToDate(value) {
+        if (!value) return;
+        
+        // <input type="date"> values are YYYY-MM-DD, taken as UTC midnight
+        const date = new Date(`${value}T00:00:00Z`);
+        if (isNaN(date.getTime())) {
+            this.showNotification('📅 Invalid date');
+            return;
+        }
+        
+        this.solarSystem.simulationClock.setDate(date);
+        this.showNotification(`📅 Jumped to ${value}`);
+    }
+    
     handleKeyboard(e) {
+        // Don't hijack typing in form fields (checkboxes and sliders keep the shortcuts)
+        if (e.target.matches && e.target.matches(TEXT_ENTRY_FIELDS)) return;
+        
+        // A running tour takes the arrow keys, space and Escape
+        if (this.tourPlayer.isPlaying() && TOUR_KEYS[e.key]) {
+            e.preventDefault();
+            this.tourPlayer.control(TOUR_KEYS[e.key]);
+            return;
+        }
+        if (this.quizMode.isOpen() && QUIZ_KEYS[e.key]) {
+            e.preventDefault();
+            this.quizMode.control(QUIZ_KEYS[e.key]);
+            return;
+        }
+        
+        // Flying takes over the movement keys
+        const key = e.key.toLowerCase();
+        if (this.solarSystem.cameraMode === 'free' && (FLIGHT_KEYS[key] || key === 'shift')) {
+            this.flightKeys.add(key);
+            this.updateFlightMovement();
+            return;
+        }
+        
+        const clock = this.solarSystem.simulationClock;
+        
         switch (e.key) {
             case 'Escape':
                 this.closeAllPanels();
@@ -249,6 +639,52 @@ export class UIController {
                 e.preventDefault();
                 this.resetView();
                 break;
+            case 'p':
+            case 'P':
+                clock.togglePause();
+                break;
+            case 'b':
+            case 'B':
+                clock.reverse();
+                break;
+            case '[':
+                clock.slower();
+                break;
+            case ']':
+                clock.faster();
+                break;
+            case ',':
+                this.stepTime(-1);
+                break;
+            case '.':
+                this.stepTime(1);
+                break;
+            case '<':
+                this.stepTime(-1, 'year');
+                break;
+            case '>':
+                this.stepTime(1, 'year');
+                break;
+            case 't':
+            case 'T':
+                clock.resetToNow();
+                break;
+            case 'f':
+            case 'F':
+                this.toggleFreeFlight();
+                break;
+            case 'g':
+            case 'G':
+                this.toggleTour();
+                break;
+            case 'q':
+            case 'Q':
+                this.toggleQuiz();
+                break;
+            case 'c':
+            case 'C':
+                this.toggleComparison();
+                break;
             case '1':
             case '2':
             case '3':
@@ -299,6 +735,10 @@ export class UIController {
         
         this.isPanelOpen.controls = false;
         this.isPanelOpen.settings = false;
+        
+        this.customGesturePanel.close();
+        this.calibrationPanel.close();
+        this.comparisonPanel.close();
     }
     
     showPlanetInfo(planetName) {
@@ -308,15 +748,16 @@ export class UIController {
         this.elements.planetIcon.textContent = data.icon;
         this.elements.planetName.textContent = data.name;
         this.elements.planetType.textContent = data.type;
-        this.elements.planetDistance.textContent = data.distanceFromSun;
-        this.elements.planetPeriod.textContent = data.orbitalPeriod;
-        this.elements.planetDiameter.textContent = data.diameter;
+        this.elements.planetDistance.textContent = formatDistanceFromSun(data.semiMajorAxisAU);
+        this.elements.planetPeriod.textContent = formatOrbitalPeriod(data.orbitalPeriodDays);
+        this.elements.planetDiameter.textContent = formatDiameter(data.radiusKm);
         this.elements.planetMoons.textContent = data.moonCount;
         this.elements.planetDescription.textContent = data.description;
         this.elements.planetFunfact.textContent = data.funFact;
         
         this.elements.planetInfo.classList.remove('hidden');
         this.isPanelOpen.planetInfo = true;
+        this.infoPlanet = planetName;
         
         this.updateActivePlanetButton(planetName);
     }
@@ -346,6 +787,71 @@ export class UIController {
         }
     }
     
+    selectPlanet(planetName) {
+        this.gestureController.manualSelectPlanet(planetName);
+        this.showPlanetInfo(planetName);
+    }
+    
+    selectNextPlanet() {
+        const planetNames = Object.keys(PLANET_DATA);
+        const current = planetNames.indexOf(this.gestureController.getSelectedPlanet());
+        this.selectPlanet(planetNames[(current + 1) % planetNames.length]);
+    }
+    
+    toggleSetting(setting) {
+        this.setSetting(setting, !this.settings[setting]);
+    }
+    
+    /**
+     * Change a setting from code, keeping its control in step. With
+     * `persist: false` the change isn't saved (e.g. overlays from a link).
+     */
+    setSetting(setting, value, { persist = true } = {}) {
+        if (this.settings[setting] === value) return;
+        
+        if (setting === 'soundEnabled') {
+            this.setSound(value);
+            return;
+        }
+        
+        const input = this.elements[setting];
+        if (input.type === 'checkbox') {
+            input.checked = value;
+        } else if (input.type === 'range') {
+            input.value = value * 100;
+        } else {
+            input.value = value;
+        }
+        this.onSettingChanged(setting, value, persist);
+    }
+    
+    // Actions that custom gestures can be bound to
+    runAction(action) {
+        switch (action) {
+            case 'select': {
+                const planet = this.gestureController.getPlanetAtHand() ||
+                               this.gestureController.hoveredPlanet;
+                if (planet) this.selectPlanet(planet);
+                break;
+            }
+            case 'follow':
+                this.gestureController.toggleFollowSelected();
+                break;
+            case 'reset':
+                this.resetView();
+                break;
+            case 'screenshot':
+                this.takeScreenshot();
+                break;
+            case 'toggleOrbits':
+                this.toggleSetting('showOrbits');
+                break;
+            case 'nextPlanet':
+                this.selectNextPlanet();
+                break;
+        }
+    }
+    
     takeScreenshot() {
         // Get canvas data
         const canvas = this.solarSystem.renderer.domElement;
@@ -361,31 +867,112 @@ export class UIController {
         this.showNotification('📷 Screenshot saved!');
     }
     
+    async copyLink() {
+        try {
+            await this.viewLink.copy();
+            this.showNotification('🔗 Link copied!');
+        } catch (error) {
+            console.warn('Could not copy link:', error);
+            this.showNotification('⚠️ Could not copy link');
+        }
+    }
+    
     resetView() {
         this.gestureController.manualReset();
         this.hidePlanetInfo();
         this.showNotification('🏠 View reset');
     }
     
+    toggleFreeFlight() {
+        const mode = this.gestureController.toggleFreeFlight();
+        this.showNotification(mode === 'free' ? '🚀 Free flight' : '🪐 Back to orbit');
+    }
+    
+    /**
+     * Compare `planetName` with the bodies already in the comparison.
+     */
+    openComparison(planetName) {
+        this.closeAllPanels();
+        this.comparisonPanel.compare(planetName);
+    }
+    
+    toggleComparison() {
+        if (this.comparisonPanel.isOpen) {
+            this.comparisonPanel.close();
+        } else {
+            this.openComparison(this.gestureController.getSelectedPlanet());
+        }
+    }
+    
+    startTour(tour) {
+        this.closeAllPanels();
+        this.quizMode.close();
+        this.tourPlayer.start(tour);
+        this.showNotification(`🎓 ${tour.title}`);
+    }
+    
+    toggleTour() {
+        if (this.tourPlayer.isPlaying()) {
+            this.tourPlayer.control('stop');
+        } else {
+            this.startTour(GRAND_TOUR);
+        }
+    }
+    
+    /**
+     * Start a quiz from a question bank, or from questions generated from the planet data.
+     */
+    startQuiz(bank = null) {
+        this.closeAllPanels();
+        this.tourPlayer.finish();
+        if (this.solarSystem.cameraMode === 'free') {
+            this.gestureController.toggleFreeFlight();
+        }
+        this.quizMode.start(bank);
+    }
+    
+    toggleQuiz() {
+        if (this.quizMode.isOpen()) {
+            this.quizMode.close();
+        } else {
+            this.startQuiz();
+        }
+    }
+    
+    updateFlightMovement() {
+        const movement = { forward: 0, strafe: 0, lift: 0, roll: 0, boost: this.flightKeys.has('shift') };
+        this.flightKeys.forEach(key => {
+            if (!FLIGHT_KEYS[key]) return;
+            const [axis, direction] = FLIGHT_KEYS[key];
+            movement[axis] += direction;
+        });
+        this.solarSystem.freeFlight.setMovement(movement);
+    }
+    
     toggleSound() {
+        this.setSound(this.elements.ambientAudio.paused);
+    }
+    
+    setSound(enabled) {
         const audio = this.elements.ambientAudio;
-        const btn = this.elements.btnSound;
         
-        if (audio.paused) {
+        if (enabled) {
             audio.volume = 0.3;
             audio.play().then(() => {
-                btn.querySelector('span').textContent = '🔊';
-                this.settings.soundEnabled = true;
+                this.onSettingChanged('soundEnabled', true);
             }).catch(() => {
                 this.showNotification('🔇 Could not play audio');
             });
         } else {
             audio.pause();
-            btn.querySelector('span').textContent = '🔇';
-            this.settings.soundEnabled = false;
+            this.onSettingChanged('soundEnabled', false);
         }
     }
     
+    updateSoundButton(playing) {
+        this.elements.btnSound.querySelector('span').textContent = playing ? '🔊' : '🔇';
+    }
+    
     showNotification(message) {
         // Create notification element
         const notification = document.createElement('div');
@@ -415,18 +1002,47 @@ export class UIController {
         }, 2000);
     }
     
-    onSettingChanged(setting, value) {
+    onSettingChanged(setting, value, persist = true) {
         this.settings[setting] = value;
-        this.emit('settingChanged', setting, value);
+        this.emit('settingChanged', setting, value, persist);
     }
     
     update() {
+        // Keep the planet under a resting mouse highlighted as the scene moves
+        // (a pointing hand takes precedence)
+        if (this.mousePointer && this.gestureController.getCurrentGesture() !== 'point' &&
+            this.solarSystem.cameraMode !== 'free') {
+            this.gestureController.pointAt(this.mousePointer.x, this.mousePointer.y, 'mouse');
+        }
+        
+        this.flightHud.update();
+        this.viewLink.update();
+        this.tourPlayer.update();
+        this.quizMode.update();
+        this.elements.btnTour.classList.toggle('active', this.tourPlayer.isPlaying());
+        this.elements.btnQuiz.classList.toggle('active', this.quizMode.isOpen());
+        this.elements.btnCompare.classList.toggle('active', this.comparisonPanel.isOpen);
+        this.elements.btnFreeFlight.classList.toggle('active', this.solarSystem.cameraMode === 'free');
+        
         // Update camera info display
         const cameraInfo = this.solarSystem.getCameraInfo();
         
         this.elements.rotationValue.textContent = `${cameraInfo.rotation}°`;
         this.elements.elevationValue.textContent = `${cameraInfo.elevation}°`;
         this.elements.zoomValue.textContent = `${cameraInfo.zoom}%`;
+        
+        // Update simulation time display
+        const clock = this.solarSystem.simulationClock;
+        this.elements.simDate.textContent = this.formatSimulationDate(clock.getDate());
+        this.elements.simWarp.textContent = clock.getWarpLabel();
+        this.elements.timePause.textContent = clock.isPaused() ? '▶' : '⏸';
+        this.elements.timeReverse.classList.toggle('active', clock.direction < 0);
+    }
+    
+    formatSimulationDate(date) {
+        // e.g. 2024-03-20 14:05 UTC
+        const iso = date.toISOString();
+        return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
     }
     
     // Event system
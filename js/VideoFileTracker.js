@@ -0,0 +1,76 @@
+/**
+ * 🎞️ Video File Tracker
+ * Runs MediaPipe Hands over a pre-recorded clip instead of the webcam
+ */
+
+import { HandTracker } from './HandTracker.js';
+
+export class VideoFileTracker extends HandTracker {
+    constructor(videoElement, canvasElement, src) {
+        super(videoElement, canvasElement);
+        this.src = src;
+        this.frameRequest = null;
+        
+        this.pumpFrame = this.pumpFrame.bind(this);
+    }
+    
+    async openVideo() {
+        // Loops silently, like a webcam that never ends
+        this.video.srcObject = null;
+        this.video.src = this.src;
+        this.video.loop = true;
+        this.video.muted = true;
+        
+        try {
+            await this.video.play();
+        } catch (error) {
+            console.error('Video could not be played:', error);
+            this.releaseCamera();
+            throw new Error('Video file could not be played');
+        }
+    }
+    
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        
+        // MediaPipe's Camera utility only drives webcams, so pump frames ourselves
+        this.video.play();
+        this.frameRequest = requestAnimationFrame(this.pumpFrame);
+    }
+    
+    stop() {
+        this.isRunning = false;
+        cancelAnimationFrame(this.frameRequest);
+        this.video.pause();
+    }
+    
+    async pumpFrame() {
+        if (!this.isRunning) return;
+        
+        // Wait for decoded frame data before sending
+        if (this.video.readyState >= 2) {
+            await this.sendFrame(this.video);
+        }
+        
+        if (this.isRunning) {
+            this.frameRequest = requestAnimationFrame(this.pumpFrame);
+        }
+    }
+    
+    releaseCamera() {
+        this.video.pause();
+        this.video.removeAttribute('src');
+        this.video.load();
+        this.video.loop = false;
+    }
+    
+    dispose() {
+        super.dispose();
+        
+        // A picked file is only readable through the URL made for it
+        if (this.src.startsWith('blob:')) {
+            URL.revokeObjectURL(this.src);
+        }
+    }
+}
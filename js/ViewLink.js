@@ -0,0 +1,164 @@
+/**
+ * 🔗 View Link
+ * The current view as a URL hash, kept up to date while navigating, so it
+ * can be shared as a link and restored on load
+ *
+ * e.g. #select=jupiter&follow=jupiter&theta=1.2&phi=0.9&radius=14&date=2026-10-19T12:00Z&showOrbits=0
+ *
+ * Copied links start with view=1, which the live hash never carries, so a
+ * shared link can be told apart from this tab's own address being reloaded.
+ */
+
+import { PLANET_DATA } from './data.js';
+
+// On/off settings carried in the link
+export const SHARED_SETTINGS = ['showLabels', 'showOrbits', 'showMoons', 'showAsteroids', 'realisticScale'];
+
+const REFRESH_INTERVAL = 500; // ms between hash updates
+const SHARED_MARKER = 'view=1';
+
+export function encodeViewState({ selected, following, camera, date, settings }) {
+    const params = new URLSearchParams();
+    if (selected) params.set('select', selected);
+    if (following) params.set('follow', following);
+    
+    const theta = camera.theta % (2 * Math.PI);
+    params.set('theta', (theta < 0 ? theta + 2 * Math.PI : theta).toFixed(3));
+    params.set('phi', camera.phi.toFixed(3));
+    params.set('radius', Number(camera.radius.toPrecision(4)).toString());
+    
+    // To the minute - seconds would rewrite the link constantly while time runs
+    params.set('date', `${date.toISOString().slice(0, 16)}Z`);
+    
+    SHARED_SETTINGS.forEach(setting => {
+        params.set(setting, settings[setting] ? '1' : '0');
+    });
+    
+    return params.toString();
+}
+
+/**
+ * Parse a hash made by encodeViewState. Anything missing or invalid is
+ * left out; returns null when nothing usable is there. `shared` is true
+ * for a copied link.
+ */
+export function decodeViewState(hash = window.location.hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = { settings: {} };
+    
+    const selected = params.get('select');
+    if (PLANET_DATA[selected]) state.selected = selected;
+    
+    // The Sun is never followed
+    const following = params.get('follow');
+    if (PLANET_DATA[following] && following !== 'sun') state.following = following;
+    
+    const camera = ['theta', 'phi', 'radius'].map(key => parseFloat(params.get(key)));
+    if (camera.every(Number.isFinite) && camera[2] > 0) {
+        const [theta, phi, radius] = camera;
+        state.camera = { theta, phi, radius };
+    }
+    
+    const date = new Date(params.get('date'));
+    if (params.has('date') && !isNaN(date.getTime())) state.date = date;
+    
+    SHARED_SETTINGS.forEach(setting => {
+        if (params.has(setting)) state.settings[setting] = params.get(setting) === '1';
+    });
+    
+    const found = Object.keys(state).length > 1 || Object.keys(state.settings).length > 0;
+    if (!found) return null;
+    
+    state.shared = params.get('view') === '1';
+    return state;
+}
+
+export class ViewLink {
+    constructor(ui) {
+        this.ui = ui;
+        this.solarSystem = ui.solarSystem;
+        this.gestureController = ui.gestureController;
+        this.lastHash = window.location.hash.replace(/^#/, '');
+        this.lastRefresh = 0;
+    }
+    
+    init() {
+        // A link pasted into this tab changes only the hash
+        window.addEventListener('hashchange', () => {
+            const hash = window.location.hash.replace(/^#/, '');
+            if (hash === this.lastHash) return;
+            
+            this.lastHash = hash;
+            const state = decodeViewState(hash);
+            if (state) this.restore(state);
+        });
+    }
+    
+    /**
+     * Just the camera and selection, for resuming where the user left off.
+     */
+    captureSession() {
+        const { selected, following, camera } = this.capture();
+        return { selected, following, camera };
+    }
+    
+    capture() {
+        return {
+            selected: this.gestureController.getSelectedPlanet(),
+            following: this.solarSystem.followingPlanet,
+            camera: {
+                theta: this.solarSystem.cameraOrbit.targetTheta,
+                phi: this.solarSystem.cameraOrbit.targetPhi,
+                radius: this.solarSystem.cameraOrbit.targetRadius
+            },
+            date: this.solarSystem.simulationClock.getDate(),
+            settings: this.ui.settings
+        };
+    }
+    
+    restore(state) {
+        // For this visit only - the viewer's own saved settings stay as they were
+        Object.entries(state.settings || {}).forEach(([setting, value]) => {
+            this.ui.setSetting(setting, value, { persist: false });
+        });
+        
+        if (state.date) {
+            this.solarSystem.simulationClock.setDate(state.date);
+        }
+        
+        if (state.camera) {
+            this.solarSystem.setView(state.camera, state.following);
+        }
+        this.gestureController.restoreSelection(state.selected || null, this.solarSystem.followingPlanet);
+        if (!state.selected) {
+            this.ui.hidePlanetInfo();
+        }
+    }
+    
+    getUrl() {
+        const { origin, pathname, search } = window.location;
+        return `${origin}${pathname}${search}#${SHARED_MARKER}&${encodeViewState(this.capture())}`;
+    }
+    
+    /**
+     * Call once per rendered frame.
+     */
+    update(now = performance.now()) {
+        if (now - this.lastRefresh < REFRESH_INTERVAL) return;
+        this.lastRefresh = now;
+        
+        // Only settled orbit views are worth linking to
+        if (this.solarSystem.cameraMode !== 'orbit' || this.solarSystem.flight) return;
+        
+        const hash = encodeViewState(this.capture());
+        if (hash === this.lastHash) return;
+        
+        // Replace, so navigating doesn't fill the back button's history
+        this.lastHash = hash;
+        history.replaceState(null, '', `#${hash}`);
+    }
+    
+    async copy() {
+        await navigator.clipboard.writeText(this.getUrl());
+    }
+}
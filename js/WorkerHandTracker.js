@@ -0,0 +1,183 @@
+/**
+ * 🧵 Worker Hand Tracker
+ * Webcam hand tracking with inference in a Web Worker, so the render loop
+ * and the tracking loop each run at their own rate
+ */
+
+import { HandTracker, HAND_MODEL_OPTIONS } from './HandTracker.js';
+
+// ms between checks for a new frame where the browser can't announce them
+const FRAME_POLL_INTERVAL = 1000 / 30;
+
+export class WorkerHandTracker extends HandTracker {
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+               typeof createImageBitmap !== 'undefined' &&
+               typeof OffscreenCanvas !== 'undefined';
+    }
+    
+    constructor(videoElement, canvasElement) {
+        super(videoElement, canvasElement);
+        this.worker = null;
+        
+        // Frame pump
+        this.frameRequest = null;
+        this.framePending = false;
+        this.lastVideoTime = -1;
+        
+        this.pumpFrame = this.pumpFrame.bind(this);
+    }
+    
+    async openVideo() {
+        // Frames are pumped here, so MediaPipe's Camera utility isn't needed
+        await this.requestWebcam();
+    }
+    
+    async initInference() {
+        if (this.worker) return;
+        
+        try {
+            await this.startWorker();
+            this.stats.thread = 'worker';
+        } catch (error) {
+            // Keep tracking, just without the decoupling
+            console.warn('Hand inference worker failed, using the main thread:', error);
+            this.terminateWorker();
+            this.stats.thread = 'main';
+            await super.initInference();
+        }
+    }
+    
+    startWorker() {
+        return new Promise((resolve, reject) => {
+            this.worker = new Worker(new URL('./HandInferenceWorker.js', import.meta.url), { type: 'module' });
+            let ready = false;
+            
+            this.worker.onmessage = (e) => {
+                const message = e.data;
+                
+                switch (message.type) {
+                    case 'ready':
+                        ready = true;
+                        resolve();
+                        break;
+                    case 'results':
+                        this.onWorkerResults(message);
+                        break;
+                    case 'error':
+                        if (!ready) {
+                            reject(new Error(message.message));
+                        } else {
+                            console.error('Hand inference failed:', message.message);
+                            this.framePending = false;
+                        }
+                        break;
+                }
+            };
+            
+            this.worker.onerror = (e) => {
+                e.preventDefault();
+                reject(new Error(e.message || 'Hand inference worker could not be loaded'));
+            };
+            
+            this.worker.postMessage({
+                type: 'init',
+                options: HAND_MODEL_OPTIONS,
+                assets: {
+                    tasksVision: window.solarHandAssets.url('tasks_vision'),
+                    model: window.solarHandAssets.url('hand_landmarker', 'hand_landmarker.task')
+                }
+            });
+        });
+    }
+    
+    terminateWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.framePending = false;
+    }
+    
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.scheduleFrame();
+    }
+    
+    stop() {
+        this.isRunning = false;
+        this.cancelFrame();
+    }
+    
+    /**
+     * Pump once per decoded camera frame, independent of the display's
+     * refresh rate; a timer stands in where requestVideoFrameCallback is missing.
+     */
+    scheduleFrame() {
+        if (this.video.requestVideoFrameCallback) {
+            this.frameRequest = this.video.requestVideoFrameCallback(this.pumpFrame);
+        } else {
+            this.frameRequest = setTimeout(this.pumpFrame, FRAME_POLL_INTERVAL);
+        }
+    }
+    
+    cancelFrame() {
+        if (this.frameRequest === null) return;
+        
+        if (this.video.cancelVideoFrameCallback) {
+            this.video.cancelVideoFrameCallback(this.frameRequest);
+        } else {
+            clearTimeout(this.frameRequest);
+        }
+        this.frameRequest = null;
+    }
+    
+    releaseCamera() {
+        super.releaseCamera();
+        this.terminateWorker();
+    }
+    
+    pumpFrame() {
+        if (!this.isRunning) return;
+        
+        // One frame in flight at a time, and only new video frames
+        if (!this.framePending && this.video.readyState >= 2 &&
+            this.video.currentTime !== this.lastVideoTime) {
+            this.lastVideoTime = this.video.currentTime;
+            this.processFrame();
+        }
+        
+        this.scheduleFrame();
+    }
+    
+    async processFrame() {
+        this.framePending = true;
+        
+        try {
+            if (this.worker) {
+                // Cleared when the worker answers
+                const bitmap = await createImageBitmap(this.video);
+                this.worker.postMessage({ type: 'frame', bitmap, timestamp: performance.now() }, [bitmap]);
+            } else {
+                await this.sendFrame(this.video);
+                this.framePending = false;
+            }
+        } catch (error) {
+            console.error('Could not process video frame:', error);
+            this.framePending = false;
+        }
+    }
+    
+    onWorkerResults(message) {
+        this.framePending = false;
+        if (!this.isRunning) return;
+        
+        this.recordInference(message.inferenceTime);
+        this.onResults({
+            image: this.video,
+            multiHandLandmarks: message.multiHandLandmarks,
+            multiHandedness: message.multiHandedness
+        });
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * 🚀 Boot
+ * Resolves where third-party assets load from - a local copy first, then the
+ * CDN - installs the import map and service worker, then starts the app.
+ *
+ * The local base defaults to asset-manifest.json's "localBase" and can be set
+ * with <meta name="asset-base" content="..."> or ?assets=<path> (?assets=cdn
+ * skips local copies). Modules read the result through window.solarHandAssets.
+ */
+
+(function () {
+    const MANIFEST_URL = 'asset-manifest.json';
+    
+    // MediaPipe's classic scripts, as [package, file]
+    const CLASSIC_SCRIPTS = [
+        ['hands', 'hands.js'],
+        ['camera_utils', 'camera_utils.js'],
+        ['drawing_utils', 'drawing_utils.js']
+    ];
+    
+    function getLocalBase(manifest) {
+        const param = new URLSearchParams(window.location.search).get('assets');
+        if (param) return param === 'cdn' ? null : withSlash(param);
+        
+        const meta = document.querySelector('meta[name="asset-base"]');
+        if (meta && meta.content) return withSlash(meta.content);
+        
+        return manifest.localBase;
+    }
+    
+    function withSlash(path) {
+        return path.endsWith('/') ? path : `${path}/`;
+    }
+    
+    // A package is used locally only if its first file is actually there
+    async function resolveBase(pkg, localBase) {
+        if (localBase) {
+            const base = localBase + pkg.local;
+            try {
+                const response = await fetch(base + pkg.files[0], { method: 'HEAD' });
+                if (response.ok) return base;
+            } catch (error) {
+                // Unreachable - fall through to the CDN
+            }
+        }
+        return pkg.cdn;
+    }
+    
+    function loadScript(src) {
+        return new Promise((resolve) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = () => {
+                // Hand tracking reports missing MediaPipe globals itself
+                console.warn(`Could not load ${src}`);
+                resolve();
+            };
+            document.body.appendChild(script);
+        });
+    }
+    
+    function installImportMap(threeBase) {
+        const importMap = document.createElement('script');
+        importMap.type = 'importmap';
+        importMap.textContent = JSON.stringify({
+            imports: {
+                'three': `${threeBase}build/three.module.js`,
+                'three/addons/': `${threeBase}examples/jsm/`
+            }
+        });
+        document.head.appendChild(importMap);
+    }
+    
+    function registerServiceWorker(localBase) {
+        if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+        
+        // The worker precaches from the same local base
+        const url = `sw.js?assets=${encodeURIComponent(localBase || 'cdn')}`;
+        navigator.serviceWorker.register(url).catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
+    
+    async function boot() {
+        const manifest = await (await fetch(MANIFEST_URL)).json();
+        const localBase = getLocalBase(manifest);
+        
+        const names = Object.keys(manifest.packages);
+        const bases = await Promise.all(names.map(name => resolveBase(manifest.packages[name], localBase)));
+        const resolved = {};
+        names.forEach((name, i) => {
+            resolved[name] = bases[i];
+        });
+        
+        // Absolute, so workers resolve them the same way as the page
+        window.solarHandAssets = {
+            bases: resolved,
+            url: (name, file = '') => new URL(resolved[name] + file, document.baseURI).href
+        };
+        
+        installImportMap(resolved.three);
+        await Promise.all(CLASSIC_SCRIPTS.map(([name, file]) => loadScript(resolved[name] + file)));
+        
+        registerServiceWorker(localBase);
+        
+        const main = document.createElement('script');
+        main.type = 'module';
+        main.src = 'js/main.js';
+        document.body.appendChild(main);
+    }
+    
+    boot().catch(error => {
+        console.error('Failed to boot:', error);
+    });
+})();
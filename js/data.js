@@ -3,6 +3,9 @@
  * All scientific data and fun facts about our solar system
  */
 
+// Kilometres in one astronomical unit
+export const KM_PER_AU = 149597870.7;
+
 export const PLANET_DATA = {
     sun: {
         name: 'Sun',
@@ -13,10 +16,13 @@ export const PLANET_DATA = {
         distance: 0,
         orbitSpeed: 0,
         tilt: 7.25,
-        distanceFromSun: 'Center of Solar System',
-        orbitalPeriod: 'N/A',
-        diameter: '1,392,700 km',
-        moonCount: '0',
+        radiusKm: 696340,
+        semiMajorAxisAU: 0,
+        dayLengthHours: 609.1,    // rotation at the equator
+        massKg: 1.989e30,
+        surfaceGravity: 274,      // m/s²
+        meanTemperatureC: 5500,   // at the visible surface
+        moonCount: 0,
         description: 'The Sun is the star at the center of our Solar System. It is a nearly perfect ball of hot plasma, heated to incandescence by nuclear fusion reactions in its core.',
         funFact: 'The Sun accounts for about 99.86% of the total mass of the Solar System!',
         hasAtmosphere: false,
@@ -32,10 +38,22 @@ export const PLANET_DATA = {
         distance: 10,
         orbitSpeed: 4.74,
         tilt: 0.034,
-        distanceFromSun: '57.9 million km',
-        orbitalPeriod: '88 Earth days',
-        diameter: '4,879 km',
-        moonCount: '0',
+        radiusKm: 2439.7,
+        semiMajorAxisAU: 0.38709927,
+        dayLengthHours: 4222.6, // sunrise to sunrise
+        // J2000 Keplerian elements (degrees)
+        orbit: {
+            eccentricity: 0.20563593,
+            inclination: 7.00497902,
+            ascendingNode: 48.33076593,
+            argPerihelion: 29.12703035,
+            meanAnomaly: 174.79252722
+        },
+        orbitalPeriodDays: 87.97,
+        massKg: 3.301e23,
+        surfaceGravity: 3.7,
+        meanTemperatureC: 167,
+        moonCount: 0,
         description: 'Mercury is the smallest planet in our solar system and the closest to the Sun. Its surface is heavily cratered and resembles the Moon.',
         funFact: 'A day on Mercury (sunrise to sunrise) lasts 176 Earth days!',
         hasAtmosphere: false,
@@ -51,10 +69,22 @@ export const PLANET_DATA = {
         distance: 14,
         orbitSpeed: 3.50,
         tilt: 177.4,
-        distanceFromSun: '108.2 million km',
-        orbitalPeriod: '225 Earth days',
-        diameter: '12,104 km',
-        moonCount: '0',
+        radiusKm: 6051.8,
+        semiMajorAxisAU: 0.72333566,
+        dayLengthHours: 2802,
+        // J2000 Keplerian elements (degrees)
+        orbit: {
+            eccentricity: 0.00677672,
+            inclination: 3.39467605,
+            ascendingNode: 76.67984255,
+            argPerihelion: 54.92262463,
+            meanAnomaly: 50.37663232
+        },
+        orbitalPeriodDays: 224.7,
+        massKg: 4.867e24,
+        surfaceGravity: 8.87,
+        meanTemperatureC: 464,
+        moonCount: 0,
         description: 'Venus is often called Earth\'s twin because of their similar size. However, its thick toxic atmosphere creates an extreme greenhouse effect.',
         funFact: 'Venus rotates backwards compared to most planets, so the Sun rises in the west!',
         hasAtmosphere: true,
@@ -70,10 +100,22 @@ export const PLANET_DATA = {
         distance: 18,
         orbitSpeed: 2.98,
         tilt: 23.44,
-        distanceFromSun: '149.6 million km',
-        orbitalPeriod: '365.25 days',
-        diameter: '12,742 km',
-        moonCount: '1',
+        radiusKm: 6371,
+        semiMajorAxisAU: 1.00000261,
+        dayLengthHours: 24,
+        // J2000 Keplerian elements (degrees)
+        orbit: {
+            eccentricity: 0.01671123,
+            inclination: -1.531e-05,
+            ascendingNode: 0.0,
+            argPerihelion: 102.93768193,
+            meanAnomaly: 357.52688973
+        },
+        orbitalPeriodDays: 365.26,
+        massKg: 5.972e24,
+        surfaceGravity: 9.81,
+        meanTemperatureC: 15,
+        moonCount: 1,
         description: 'Earth is the third planet from the Sun and the only astronomical object known to harbor life. About 71% of Earth\'s surface is water.',
         funFact: 'Earth is the only planet not named after a Greek or Roman god!',
         hasAtmosphere: true,
@@ -83,7 +125,9 @@ export const PLANET_DATA = {
                 size: 0.27,
                 distance: 2,
                 orbitSpeed: 2,
-                color: 0xaaaaaa
+                color: 0xaaaaaa,
+                radiusKm: 1737.4,
+                semiMajorAxisKm: 384400
             }
         ]
     },
@@ -97,10 +141,22 @@ export const PLANET_DATA = {
         distance: 24,
         orbitSpeed: 2.41,
         tilt: 25.19,
-        distanceFromSun: '227.9 million km',
-        orbitalPeriod: '687 Earth days',
-        diameter: '6,779 km',
-        moonCount: '2',
+        radiusKm: 3389.5,
+        semiMajorAxisAU: 1.52371034,
+        dayLengthHours: 24.7,
+        // J2000 Keplerian elements (degrees)
+        orbit: {
+            eccentricity: 0.0933941,
+            inclination: 1.84969142,
+            ascendingNode: 49.55953891,
+            argPerihelion: 286.5031685,
+            meanAnomaly: 19.39019754
+        },
+        orbitalPeriodDays: 686.98,
+        massKg: 6.417e23,
+        surfaceGravity: 3.72,
+        meanTemperatureC: -65,
+        moonCount: 2,
         description: 'Mars is known as the Red Planet due to iron oxide on its surface. It has the largest volcano and canyon in the solar system.',
         funFact: 'Olympus Mons on Mars is the largest volcano in the solar system, 3x taller than Everest!',
         hasAtmosphere: true,
@@ -110,14 +166,18 @@ export const PLANET_DATA = {
                 size: 0.1,
                 distance: 1.2,
                 orbitSpeed: 3,
-                color: 0x888888
+                color: 0x888888,
+                radiusKm: 11.27,
+                semiMajorAxisKm: 9376
             },
             {
                 name: 'Deimos',
                 size: 0.08,
                 distance: 1.8,
                 orbitSpeed: 2,
-                color: 0x999999
+                color: 0x999999,
+                radiusKm: 6.2,
+                semiMajorAxisKm: 23463
             }
         ]
     },
@@ -131,10 +191,22 @@ export const PLANET_DATA = {
         distance: 38,
         orbitSpeed: 1.31,
         tilt: 3.13,
-        distanceFromSun: '778.5 million km',
-        orbitalPeriod: '11.86 Earth years',
-        diameter: '139,820 km',
-        moonCount: '95',
+        radiusKm: 69911,
+        semiMajorAxisAU: 5.202887,
+        dayLengthHours: 9.9,
+        // J2000 Keplerian elements (degrees)
+        orbit: {
+            eccentricity: 0.04838624,
+            inclination: 1.30439695,
+            ascendingNode: 100.47390909,
+            argPerihelion: 274.25457074,
+            meanAnomaly: 19.66796068
+        },
+        orbitalPeriodDays: 4332.59,
+        massKg: 1.898e27,
+        surfaceGravity: 24.79,
+        meanTemperatureC: -110,
+        moonCount: 95,
         description: 'Jupiter is the largest planet in our solar system. Its Great Red Spot is a storm that has been raging for at least 400 years.',
         funFact: 'Jupiter has the shortest day of all planets - it rotates once every 10 hours!',
         hasAtmosphere: true,
@@ -144,28 +216,36 @@ export const PLANET_DATA = {
                 size: 0.28,
                 distance: 4,
                 orbitSpeed: 2.5,
-                color: 0xffff99
+                color: 0xffff99,
+                radiusKm: 1821.6,
+                semiMajorAxisKm: 421700
             },
             {
                 name: 'Europa',
                 size: 0.24,
                 distance: 5,
                 orbitSpeed: 2,
-                color: 0xc9b997
+                color: 0xc9b997,
+                radiusKm: 1560.8,
+                semiMajorAxisKm: 671034
             },
             {
                 name: 'Ganymede',
                 size: 0.4,
                 distance: 6.5,
                 orbitSpeed: 1.5,
-                color: 0x888888
+                color: 0x888888,
+                radiusKm: 2634.1,
+                semiMajorAxisKm: 1070412
             },
             {
                 name: 'Callisto',
                 size: 0.38,
                 distance: 8,
                 orbitSpeed: 1,
-                color: 0x555555
+                color: 0x555555,
+                radiusKm: 2410.3,
+                semiMajorAxisKm: 1882709
             }
         ]
     },
@@ -179,10 +259,26 @@ export const PLANET_DATA = {
         distance: 52,
         orbitSpeed: 0.97,
         tilt: 26.73,
-        distanceFromSun: '1.4 billion km',
-        orbitalPeriod: '29.46 Earth years',
-        diameter: '116,460 km',
-        moonCount: '146',
+        radiusKm: 58232,
+        semiMajorAxisAU: 9.53667594,
+        dayLengthHours: 10.7,
+        // J2000 Keplerian elements (degrees)
+        orbit: {
+            eccentricity: 0.05386179,
+            inclination: 2.48599187,
+            ascendingNode: 113.66242448,
+            argPerihelion: 338.93645383,
+            meanAnomaly: 317.35536592
+        },
+        rings: {
+            innerRadiusKm: 74500,
+            outerRadiusKm: 136775
+        },
+        orbitalPeriodDays: 10759.22,
+        massKg: 5.683e26,
+        surfaceGravity: 10.44,
+        meanTemperatureC: -140,
+        moonCount: 146,
         description: 'Saturn is famous for its stunning ring system made of ice and rock. It\'s the least dense planet - it could float in water!',
         funFact: 'Saturn\'s rings span up to 282,000 km but are only about 10 meters thick!',
         hasAtmosphere: true,
@@ -192,14 +288,18 @@ export const PLANET_DATA = {
                 size: 0.4,
                 distance: 5,
                 orbitSpeed: 1.5,
-                color: 0xffcc66
+                color: 0xffcc66,
+                radiusKm: 2574.7,
+                semiMajorAxisKm: 1221870
             },
             {
                 name: 'Enceladus',
                 size: 0.15,
                 distance: 3.5,
                 orbitSpeed: 2,
-                color: 0xffffff
+                color: 0xffffff,
+                radiusKm: 252.1,
+                semiMajorAxisKm: 237948
             }
         ]
     },
@@ -213,10 +313,22 @@ export const PLANET_DATA = {
         distance: 66,
         orbitSpeed: 0.68,
         tilt: 97.77,
-        distanceFromSun: '2.9 billion km',
-        orbitalPeriod: '84 Earth years',
-        diameter: '50,724 km',
-        moonCount: '28',
+        radiusKm: 25362,
+        semiMajorAxisAU: 19.18916464,
+        dayLengthHours: 17.2,
+        // J2000 Keplerian elements (degrees)
+        orbit: {
+            eccentricity: 0.04725744,
+            inclination: 0.77263783,
+            ascendingNode: 74.01692503,
+            argPerihelion: 96.93735127,
+            meanAnomaly: 142.28382821
+        },
+        orbitalPeriodDays: 30688.5,
+        massKg: 8.681e25,
+        surfaceGravity: 8.69,
+        meanTemperatureC: -195,
+        moonCount: 28,
         description: 'Uranus is an ice giant with a unique sideways rotation. Its blue-green color comes from methane in its atmosphere.',
         funFact: 'Uranus rotates on its side, possibly due to a collision with an Earth-sized object long ago!',
         hasAtmosphere: true,
@@ -226,14 +338,18 @@ export const PLANET_DATA = {
                 size: 0.15,
                 distance: 2.5,
                 orbitSpeed: 2,
-                color: 0xaaaaaa
+                color: 0xaaaaaa,
+                radiusKm: 235.8,
+                semiMajorAxisKm: 129390
             },
             {
                 name: 'Titania',
                 size: 0.25,
                 distance: 4,
                 orbitSpeed: 1.5,
-                color: 0x888888
+                color: 0x888888,
+                radiusKm: 788.4,
+                semiMajorAxisKm: 435910
             }
         ]
     },
@@ -247,10 +363,22 @@ export const PLANET_DATA = {
         distance: 78,
         orbitSpeed: 0.54,
         tilt: 28.32,
-        distanceFromSun: '4.5 billion km',
-        orbitalPeriod: '164.8 Earth years',
-        diameter: '49,244 km',
-        moonCount: '16',
+        radiusKm: 24622,
+        semiMajorAxisAU: 30.06992276,
+        dayLengthHours: 16.1,
+        // J2000 Keplerian elements (degrees)
+        orbit: {
+            eccentricity: 0.00859048,
+            inclination: 1.77004347,
+            ascendingNode: 131.78422574,
+            argPerihelion: 273.18053653,
+            meanAnomaly: 259.91520804
+        },
+        orbitalPeriodDays: 60190,
+        massKg: 1.024e26,
+        surfaceGravity: 11.15,
+        meanTemperatureC: -200,
+        moonCount: 16,
         description: 'Neptune is the windiest planet with storms that can reach 2,100 km/h. It was discovered through mathematical predictions.',
         funFact: 'Neptune has only completed one orbit around the Sun since its discovery in 1846!',
         hasAtmosphere: true,
@@ -260,7 +388,9 @@ export const PLANET_DATA = {
                 size: 0.35,
                 distance: 3.5,
                 orbitSpeed: 1.5,
-                color: 0xffcccc
+                color: 0xffcccc,
+                radiusKm: 1353.4,
+                semiMajorAxisKm: 354759
             }
         ]
     }
@@ -5,39 +5,76 @@
 
 import * as THREE from 'three';
 import { SolarSystem } from './SolarSystem.js';
-import { HandTracker } from './HandTracker.js';
 import { GestureController } from './GestureController.js';
 import { UIController } from './UIController.js';
 import { PLANET_DATA, SPACE_FACTS } from './data.js';
+import { formatRate } from './SimulationClock.js';
+import { INPUT_SOURCES, getRequestedInputSource, createInputSource } from './InputSources.js';
+import { PerformanceOverlay } from './PerformanceOverlay.js';
+import { FilterPlot } from './FilterPlot.js';
+import { decodeViewState } from './ViewLink.js';
+import { SettingsStore } from './SettingsStore.js';
 
 class SolarSystemApp {
     constructor() {
         this.isInitialized = false;
         this.isRunning = false;
+        this.handTrackingAvailable = false;
         
         // Core systems
         this.solarSystem = null;
-        this.handTracker = null;
+        this.handTracker = null; // current input source (webcam, video, replay...)
+        this.inputSourceType = null;
+        this.inputOptions = {}; // URL options every source is built with (?worker=0)
         this.gestureController = null;
         this.uiController = null;
+        this.performanceOverlay = new PerformanceOverlay();
+        this.filterPlot = new FilterPlot();
         
-        // Settings
-        this.settings = {
+        // Settings: defaults, with whatever was saved last time on top
+        this.settingsStore = new SettingsStore({
             showLabels: true,
             showOrbits: true,
             showMoons: true,
             showAsteroids: true,
             orbitSpeed: 1,
             realisticScale: false,
-            soundEnabled: false
-        };
+            cameraInertia: 0.5,
+            rotationMode: 'drag',
+            soundEnabled: false,
+            showPerformance: false,
+            handSmoothing: 0.5,
+            showFilterPlot: false,
+            handRotateSensitivity: 1,
+            handZoomSensitivity: 1,
+            rememberView: true
+        });
+        this.settings = this.settingsStore.load();
+        
+        // View in the URL hash (a shared link, or this tab's own), applied once
+        // everything is loaded
+        this.linkedView = decodeViewState();
+        
+        // Settings a link changed for this visit; their stored values are kept
+        // until the user changes them
+        this.unsavedSettings = new Set();
         
         // Bind methods
         this.animate = this.animate.bind(this);
         this.onResize = this.onResize.bind(this);
-        
-        // Initialize landing screen
-        this.initLandingScreen();
+        this.onHandDetected = this.onHandDetected.bind(this);
+        this.onHandLost = this.onHandLost.bind(this);
+        this.onInputEnded = this.onInputEnded.bind(this);
+        
+        // A shared link goes straight to the view; otherwise (this tab's own
+        // hash included) start at the landing screen
+        if (this.linkedView && this.linkedView.shared) {
+            document.getElementById('landing-screen').classList.add('hidden');
+            document.getElementById('loading-screen').classList.remove('hidden');
+            this.startExperience();
+        } else {
+            this.initLandingScreen();
+        }
     }
     
     initLandingScreen() {
@@ -142,12 +179,18 @@ class SolarSystemApp {
         );
         await this.solarSystem.init();
         
-        // Initialize Hand Tracker
-        this.handTracker = new HandTracker(
-            document.getElementById('webcam'),
-            document.getElementById('hand-canvas')
-        );
-        await this.handTracker.init();
+        // Initialize Hand Tracker (optional - mouse and touch still work without it)
+        const input = getRequestedInputSource();
+        this.inputOptions = { worker: input.options.worker };
+        try {
+            this.handTracker = await createInputSource(input.type, this.getInputElements(), input.options);
+            this.inputSourceType = input.type;
+        } catch (error) {
+            console.warn(`Input source "${input.type}" failed, using the webcam:`, error);
+            this.handTracker = await createInputSource('webcam', this.getInputElements(), this.inputOptions);
+            this.inputSourceType = 'webcam';
+        }
+        await this.initHandTracking();
         
         // Initialize Gesture Controller
         this.gestureController = new GestureController(
@@ -155,6 +198,9 @@ class SolarSystemApp {
             this.handTracker
         );
         
+        this.gestureController.setRotationMode(this.settings.rotationMode);
+        this.applyGestureSensitivity();
+        
         // Initialize UI Controller
         this.uiController = new UIController(
             this.solarSystem,
@@ -162,33 +208,93 @@ class SolarSystemApp {
             this.settings
         );
         this.uiController.init();
+        this.uiController.setInputSource(this.inputSourceType);
+        
+        this.performanceOverlay.init();
+        this.performanceOverlay.setVisible(this.settings.showPerformance);
+        this.filterPlot.init();
+        this.filterPlot.setVisible(this.settings.showFilterPlot);
         
         // Setup event listeners
         this.setupEventListeners();
         
+        // A shared link wins over where this user left off. This tab's own hash
+        // is where they left off too, so Remember Last View governs it as well.
+        const linked = this.linkedView;
+        const view = linked && linked.shared ? linked :
+            this.settings.rememberView ? linked || this.settingsStore.loadSession() : null;
+        if (view) {
+            this.uiController.viewLink.restore(view);
+        }
+        
         this.isInitialized = true;
     }
     
+    async initHandTracking() {
+        try {
+            await this.handTracker.init();
+            this.handTrackingAvailable = true;
+        } catch (error) {
+            console.warn('Hand tracking unavailable:', error);
+            this.handTracker.releaseCamera();
+            this.handTrackingAvailable = false;
+        }
+        
+        return this.handTrackingAvailable;
+    }
+    
+    async retryHandTracking() {
+        const retryBtn = document.getElementById('hand-retry');
+        retryBtn.disabled = true;
+        this.setHandIndicatorStatus('Connecting camera...');
+        
+        const available = await this.initHandTracking();
+        retryBtn.disabled = false;
+        
+        if (available) {
+            this.handTracker.start();
+            this.uiController.showNotification('🖐️ Hand tracking enabled');
+        } else {
+            this.uiController.showNotification('📷 Camera still unavailable');
+        }
+        this.updateHandIndicator(0);
+    }
+    
     setupEventListeners() {
         // Window resize
         window.addEventListener('resize', this.onResize);
         
-        // Hand tracking events
-        this.handTracker.on('handDetected', (landmarks) => {
-            this.gestureController.processHand(landmarks);
-            this.updateHandIndicator(true);
+        // Retry camera initialization without reloading
+        document.getElementById('hand-retry').addEventListener('click', () => {
+            this.retryHandTracking();
         });
         
-        this.handTracker.on('handLost', () => {
-            this.gestureController.onHandLost();
-            this.updateHandIndicator(false);
-        });
+        // Hand tracking events
+        this.attachHandSource(this.handTracker);
         
         // Gesture events
         this.gestureController.on('gesture', (gesture) => {
             this.showGestureFeedback(gesture);
         });
         
+        this.gestureController.on('holdProgress', (gesture, progress) => {
+            this.updateHoldRing(gesture, progress);
+        });
+        
+        this.gestureController.on('cameraThrown', () => {
+            this.showFeedbackText('👋 Spin!');
+        });
+        
+        this.gestureController.on('timeScrub', (rate) => {
+            const arrow = rate < 0 ? '⏪' : '⏩';
+            this.showFeedbackText(`✌️ ${arrow} ${formatRate(rate)}`);
+        });
+        
+        this.gestureController.on('customAction', (action, gesture) => {
+            this.showFeedbackText(`✨ ${gesture.name}`);
+            this.uiController.runAction(action);
+        });
+        
         this.gestureController.on('planetSelected', (planetName) => {
             this.uiController.showPlanetInfo(planetName);
         });
@@ -198,45 +304,229 @@ class SolarSystemApp {
         });
         
         // Settings changes
-        this.uiController.on('settingChanged', (setting, value) => {
+        this.uiController.on('settingChanged', (setting, value, persist) => {
             this.settings[setting] = value;
-            this.solarSystem.updateSetting(setting, value);
+            if (persist) {
+                this.unsavedSettings.delete(setting);
+            } else {
+                this.unsavedSettings.add(setting);
+            }
+            
+            switch (setting) {
+                case 'showPerformance':
+                    this.performanceOverlay.setVisible(value);
+                    break;
+                case 'showFilterPlot':
+                    this.filterPlot.setVisible(value);
+                    break;
+                case 'handSmoothing':
+                    this.applyHandSmoothing();
+                    break;
+                case 'rotationMode':
+                    this.gestureController.setRotationMode(value);
+                    break;
+                case 'handRotateSensitivity':
+                case 'handZoomSensitivity':
+                    this.applyGestureSensitivity();
+                    break;
+                case 'rememberView':
+                    if (!value) this.settingsStore.saveSession(null);
+                    break;
+                default:
+                    this.solarSystem.updateSetting(setting, value);
+            }
+            
+            this.saveSettings();
+        });
+        
+        this.uiController.on('settingsReset', () => {
+            const defaults = this.settingsStore.reset();
+            this.unsavedSettings.clear();
+            Object.entries(defaults).forEach(([setting, value]) => {
+                this.uiController.setSetting(setting, value);
+            });
+            this.uiController.showNotification('↩️ Settings reset to defaults');
+        });
+        
+        // Remember the view for next time
+        window.addEventListener('pagehide', () => {
+            if (this.settings.rememberView) {
+                this.settingsStore.saveSession(this.uiController.viewLink.captureSession());
+            }
+        });
+        
+        this.uiController.on('inputSourceRequested', (type, options) => {
+            this.switchInputSource(type, options);
+        });
+    }
+    
+    saveSettings() {
+        // Settings a link changed keep their stored values
+        const stored = this.settingsStore.load();
+        const settings = { ...this.settings };
+        this.unsavedSettings.forEach(setting => {
+            settings[setting] = stored[setting];
         });
+        this.settingsStore.save(settings);
+    }
+    
+    attachHandSource(source) {
+        // Only one source feeds the gesture controller at a time
+        this.handTracker.off('handDetected', this.onHandDetected);
+        this.handTracker.off('handLost', this.onHandLost);
+        this.handTracker.off('ended', this.onInputEnded);
+        
+        this.handTracker = source;
+        this.gestureController.handTracker = source;
+        this.performanceOverlay.setSource(source);
+        this.filterPlot.setSource(source);
+        this.applyHandSmoothing();
+        source.on('handDetected', this.onHandDetected);
+        source.on('handLost', this.onHandLost);
+        source.on('ended', this.onInputEnded);
+    }
+    
+    applyGestureSensitivity() {
+        this.gestureController.setSensitivity(this.settings.handRotateSensitivity, this.settings.handZoomSensitivity);
+    }
+    
+    applyHandSmoothing() {
+        // Recordings were smoothed when captured, so only live trackers filter
+        if (this.handTracker.setSmoothing) {
+            this.handTracker.setSmoothing(this.settings.handSmoothing);
+        }
+    }
+    
+    onHandDetected(hands) {
+        this.gestureController.processHands(hands);
+        this.updateHandIndicator(hands.length);
+    }
+    
+    onHandLost() {
+        this.gestureController.onHandLost();
+        this.updateHandIndicator(0);
+    }
+    
+    onInputEnded() {
+        // The finished source stays idle until the user picks the next one
+        this.uiController.showNotification('📼 Replay finished');
+        this.updateHandIndicator(0);
     }
     
-    updateHandIndicator(detected) {
+    async switchInputSource(type, options = {}) {
+        let source;
+        try {
+            source = await createInputSource(type, this.getInputElements(), { ...this.inputOptions, ...options });
+        } catch (error) {
+            console.error('Could not create input source:', error);
+            this.uiController.showNotification(`⚠️ ${error.message}`);
+            return;
+        }
+        
+        // The old source may hold the camera, the shared video element or a model
+        this.handTracker.dispose();
+        this.gestureController.onHandLost();
+        
+        this.inputSourceType = type;
+        this.attachHandSource(source);
+        
+        if (await this.initHandTracking()) {
+            source.start();
+            this.uiController.showNotification(`🔌 Input: ${INPUT_SOURCES[type]}`);
+        } else {
+            this.uiController.showNotification(`⚠️ ${INPUT_SOURCES[type]} unavailable`);
+        }
+        this.uiController.setInputSource(type);
+        this.updateHandIndicator(0);
+    }
+    
+    getInputElements() {
+        return {
+            video: document.getElementById('webcam'),
+            canvas: document.getElementById('hand-canvas')
+        };
+    }
+    
+    updateHandIndicator(handCount) {
         const indicator = document.getElementById('hand-indicator');
-        const status = indicator.querySelector('.hand-status');
+        const retryBtn = document.getElementById('hand-retry');
+        
+        if (!this.handTrackingAvailable) {
+            indicator.classList.remove('detected');
+            indicator.classList.add('unavailable');
+            retryBtn.classList.remove('hidden');
+            this.setHandIndicatorStatus('No hand tracking · mouse & touch');
+            return;
+        }
         
-        if (detected) {
+        indicator.classList.remove('unavailable');
+        retryBtn.classList.add('hidden');
+        
+        if (handCount > 0) {
             indicator.classList.add('detected');
-            status.textContent = 'Hand detected';
+            this.setHandIndicatorStatus(handCount > 1 ? `${handCount} hands detected` : 'Hand detected');
         } else {
             indicator.classList.remove('detected');
-            status.textContent = 'Detecting hand...';
+            this.setHandIndicatorStatus('Detecting hand...');
         }
     }
     
+    setHandIndicatorStatus(text) {
+        const status = document.querySelector('#hand-indicator .hand-status');
+        status.textContent = text;
+    }
+    
     showGestureFeedback(gesture) {
-        const feedback = document.getElementById('gesture-feedback');
-        const gestureName = feedback.querySelector('.gesture-name');
-        
         const gestureNames = {
             'pinch': '🤏 Zooming',
             'point': '👆 Selecting',
             'fist': '✊ Following',
             'palm': '🖐️ Reset View',
-            'rotate': '👋 Rotating'
+            'rotate': '👋 Rotating',
+            'time': '✌️ Time Control',
+            'twoHand': '🙌 Two-Hand Control'
         };
         
         if (gestureNames[gesture]) {
-            gestureName.textContent = gestureNames[gesture];
-            feedback.classList.remove('hidden');
-            
-            clearTimeout(this.gestureFeedbackTimeout);
-            this.gestureFeedbackTimeout = setTimeout(() => {
-                feedback.classList.add('hidden');
-            }, 1000);
+            this.showFeedbackText(gestureNames[gesture]);
+        }
+    }
+    
+    showFeedbackText(text) {
+        const feedback = document.getElementById('gesture-feedback');
+        const gestureName = feedback.querySelector('.gesture-name');
+        
+        gestureName.textContent = text;
+        feedback.classList.remove('hidden');
+        
+        clearTimeout(this.gestureFeedbackTimeout);
+        this.gestureFeedbackTimeout = setTimeout(() => {
+            feedback.classList.add('hidden');
+        }, 1000);
+    }
+    
+    updateHoldRing(gesture, progress) {
+        const ring = document.getElementById('hold-ring');
+        
+        if (!gesture) {
+            ring.classList.add('hidden');
+            return;
+        }
+        
+        // Follow the palm
+        const hand = this.gestureController.getHandScreenPosition();
+        ring.style.left = `${hand.x}px`;
+        ring.style.top = `${hand.y}px`;
+        ring.style.setProperty('--hold-progress', progress);
+        ring.classList.toggle('complete', progress >= 1);
+        ring.classList.remove('hidden');
+        
+        // Linger briefly once the action has fired
+        clearTimeout(this.holdRingTimeout);
+        if (progress >= 1) {
+            this.holdRingTimeout = setTimeout(() => {
+                ring.classList.add('hidden');
+            }, 400);
         }
     }
     
@@ -248,8 +538,11 @@ class SolarSystemApp {
         this.isRunning = true;
         this.animate();
         
-        // Start hand tracking
-        this.handTracker.start();
+        // Start hand tracking, or show the mouse/touch-only status
+        if (this.handTrackingAvailable) {
+            this.handTracker.start();
+        }
+        this.updateHandIndicator(0);
         
         // Play ambient music if enabled
         if (this.settings.soundEnabled) {
@@ -272,6 +565,9 @@ class SolarSystemApp {
         
         // Update UI
         this.uiController.update();
+        
+        this.performanceOverlay.frame();
+        this.filterPlot.draw();
     }
     
     onResize() {
@@ -0,0 +1,173 @@
+/**
+ * 📦 Service Worker
+ * Precaches the app and every third-party asset so SolarHand runs offline
+ * after one visit
+ *
+ * App files are served network-first so edits show up on reload; versioned
+ * library, model and wasm files are served cache-first. The web fonts and
+ * ambient music come from their own hosts: the font stylesheet is cached with
+ * the font files it names, and the music whole, with ranged requests for it
+ * answered from the cached copy. The music needs CORS from its host for that;
+ * where it isn't allowed the music still needs a connection.
+ */
+
+const CACHE_NAME = 'solarhand-v1';
+const MANIFEST_URL = 'asset-manifest.json';
+
+// Local asset base chosen by js/boot.js ('cdn' when local copies are skipped)
+const assetParam = new URL(self.location).searchParams.get('assets') || 'cdn';
+const LOCAL_BASE = assetParam === 'cdn' ? null : assetParam;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    
+    // boot.js probes for local copies with HEAD - answer from the cache when offline
+    if (request.method === 'HEAD') {
+        event.respondWith(fetch(request).catch(() => matchOrFail(request, { ignoreMethod: true })));
+        return;
+    }
+    
+    if (request.method !== 'GET' || !request.url.startsWith('http')) return;
+    
+    // Media elements ask for audio in byte ranges
+    if (request.headers.has('range')) {
+        event.respondWith(rangeFromCache(request));
+        return;
+    }
+    
+    const isAppFile = new URL(request.url).origin === self.location.origin &&
+                      !(LOCAL_BASE && request.url.startsWith(new URL(LOCAL_BASE, self.location).href));
+    event.respondWith(isAppFile ? networkFirst(request) : cacheFirst(request));
+});
+
+async function precache() {
+    const cache = await caches.open(CACHE_NAME);
+    const manifest = await (await fetch(MANIFEST_URL, { cache: 'no-cache' })).json();
+    
+    // One missing file shouldn't cost the rest of the app its offline copy
+    await addEach(cache, manifest.app);
+    
+    // Same fallback chain as boot.js: the local copy if present, else the CDN
+    await Promise.all(Object.values(manifest.packages).map(async (pkg) => {
+        if (LOCAL_BASE) {
+            const localUrls = pkg.files.map(file => LOCAL_BASE + pkg.local + file);
+            try {
+                await cache.addAll(localUrls);
+                return;
+            } catch (error) {
+                // Not self-hosted - use the CDN
+            }
+        }
+        try {
+            await cache.addAll(pkg.files.map(file => pkg.cdn + file));
+        } catch (error) {
+            // Still works online; offline this package is missing
+            console.warn(`Could not precache ${pkg.cdn}:`, error);
+        }
+    }));
+    
+    await Promise.all([
+        ...(manifest.fonts || []).map(url => precacheFonts(cache, url)),
+        addEach(cache, manifest.media || [])
+    ]);
+}
+
+async function addEach(cache, urls) {
+    await Promise.all(urls.map(async (url) => {
+        try {
+            await cache.add(url);
+        } catch (error) {
+            console.warn(`Could not precache ${url}:`, error);
+        }
+    }));
+}
+
+async function precacheFonts(cache, stylesheetUrl) {
+    try {
+        const response = await fetch(stylesheetUrl);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        await cache.put(stylesheetUrl, response.clone());
+        
+        // The stylesheet names the font files picked for this browser
+        const css = await response.text();
+        const fontUrls = [...css.matchAll(/url\((['"]?)([^'")]+)\1\)/g)]
+            .map(match => new URL(match[2], stylesheetUrl).href);
+        await cache.addAll(fontUrls);
+    } catch (error) {
+        // The system fonts stand in offline
+        console.warn(`Could not precache fonts from ${stylesheetUrl}:`, error);
+    }
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return matchOrFail(request, { ignoreSearch: true });
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    
+    // Runtime-cache anything else the page pulls in, such as web fonts
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(CACHE_NAME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Cut a cached whole file down to the requested byte range, or go to the
+ * network when there is no readable copy.
+ */
+async function rangeFromCache(request) {
+    const cached = await caches.match(request.url);
+    const range = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('range'));
+    if (!cached || cached.type === 'opaque' || !range) return fetch(request);
+    
+    const body = await cached.arrayBuffer();
+    const size = body.byteLength;
+    
+    // "bytes=500-", "bytes=500-999" or the last n bytes, "bytes=-500"
+    const start = range[1] === '' ? Math.max(0, size - Number(range[2])) : Number(range[1]);
+    const end = range[1] !== '' && range[2] !== '' ? Math.min(Number(range[2]), size - 1) : size - 1;
+    if (start >= size || start > end) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+    }
+    
+    return new Response(body.slice(start, end + 1), {
+        status: 206,
+        headers: {
+            'Content-Type': cached.headers.get('Content-Type') || 'application/octet-stream',
+            'Content-Length': String(end - start + 1),
+            'Content-Range': `bytes ${start}-${end}/${size}`
+        }
+    });
+}
+
+async function matchOrFail(request, options) {
+    const cached = await caches.match(request, options);
+    return cached || Response.error();
+}
@@ -0,0 +1,185 @@
+/**
+ * 🧪 Gesture Detection
+ * Recorded hand sessions (test/fixtures/<gesture>-<orientation>.json, in the
+ * app's landmark recording format) through GestureController.detectGesture():
+ * every frame of every session must come out as its gesture, and poses built
+ * near the decision thresholds from those hands must land on the right side.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+
+// Calibration profiles are read from localStorage when the controller is built
+const storage = {};
+globalThis.localStorage = {
+    getItem: key => (key in storage ? storage[key] : null),
+    setItem: (key, value) => { storage[key] = String(value); },
+    removeItem: key => { delete storage[key]; }
+};
+
+const { GestureController } = await import('../js/GestureController.js');
+
+const IMAGE_ASPECT = 640 / 480;
+const WRIST = 0;
+const THUMB_TIP = 4;
+const INDEX_MCP = 5;
+const INDEX_TIP = 8;
+const MIDDLE_MCP = 9;
+
+const GESTURES = ['pinch', 'point', 'fist', 'time', 'palm', 'rotate'];
+const ORIENTATIONS = ['upright', 'sideways', 'fingers-down', 'tilted'];
+
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+const sessions = {};
+readdirSync(FIXTURES).filter(file => file.endsWith('.json')).forEach(file => {
+    sessions[file.slice(0, -'.json'.length)] = JSON.parse(readFileSync(new URL(file, FIXTURES), 'utf8'));
+});
+
+// Landmarks of each frame with a hand, as the tracker hands them to the controller
+function frames(name) {
+    return sessions[name].events
+        .filter(event => event.type === 'handDetected')
+        .map(event => event.hands[0].landmarks.map(([x, y, z]) => ({ x, y, z })));
+}
+
+function createController() {
+    return new GestureController({ cameraOrbit: { radius: 10 } }, {});
+}
+
+function detect(landmarks) {
+    return createController().detectGesture(landmarks);
+}
+
+// Left hand seen in the same place: the image flipped horizontally
+function mirror(landmarks) {
+    return landmarks.map(({ x, y, z }) => ({ x: 1 - x, y, z }));
+}
+
+// Hand moved closer to or further from the camera, about the wrist
+function resize(landmarks, scale) {
+    const wrist = landmarks[WRIST];
+    return landmarks.map(({ x, y, z }) => ({
+        x: wrist.x + (x - wrist.x) * scale,
+        y: wrist.y + (y - wrist.y) * scale,
+        z: wrist.z + (z - wrist.z) * scale
+    }));
+}
+
+// Top of the hand turned toward the camera by `angle` radians, about the wrist
+function tilt(landmarks, angle) {
+    const wrist = landmarks[WRIST];
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    
+    return landmarks.map(({ x, y, z }) => {
+        const dy = y - wrist.y;
+        const dz = (z - wrist.z) * IMAGE_ASPECT;
+        return {
+            x,
+            y: wrist.y + dy * cos - dz * sin,
+            z: wrist.z + (dy * sin + dz * cos) / IMAGE_ASPECT
+        };
+    });
+}
+
+// Index finger swung sideways by `angle` radians about its knuckle, in the image plane
+function spreadIndex(landmarks, angle) {
+    const knuckle = landmarks[INDEX_MCP];
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    
+    return landmarks.map((point, i) => {
+        if (i <= INDEX_MCP || i > INDEX_TIP) return point;
+        const dx = (point.x - knuckle.x) * IMAGE_ASPECT;
+        const dy = point.y - knuckle.y;
+        return {
+            x: knuckle.x + (dx * cos - dy * sin) / IMAGE_ASPECT,
+            y: knuckle.y + dx * sin + dy * cos,
+            z: point.z
+        };
+    });
+}
+
+// Thumb tip moved so it sits `gap` palm lengths from the index fingertip
+function pinchGap(landmarks, gap) {
+    const length = (a, b) => Math.hypot((b.x - a.x) * IMAGE_ASPECT, b.y - a.y, (b.z - a.z) * IMAGE_ASPECT);
+    const palm = length(landmarks[WRIST], landmarks[MIDDLE_MCP]);
+    const index = landmarks[INDEX_TIP];
+    const thumb = landmarks[THUMB_TIP];
+    const scale = gap * palm / length(index, thumb);
+    
+    const result = landmarks.map(point => ({ ...point }));
+    result[THUMB_TIP] = {
+        x: index.x + (thumb.x - index.x) * scale,
+        y: index.y + (thumb.y - index.y) * scale,
+        z: index.z + (thumb.z - index.z) * scale
+    };
+    return result;
+}
+
+test('every gesture has a session in every orientation', () => {
+    GESTURES.forEach(gesture => {
+        ORIENTATIONS.forEach(orientation => {
+            assert.ok(sessions[`${gesture}-${orientation}`], `missing fixtures/${gesture}-${orientation}.json`);
+        });
+    });
+});
+
+GESTURES.forEach(gesture => {
+    ORIENTATIONS.forEach(orientation => {
+        const name = `${gesture}-${orientation}`;
+        
+        test(`${gesture}: ${orientation.replace('-', ' ')}`, () => {
+            // One controller per session, so pinch tracking carries over like it does live
+            const controller = createController();
+            frames(name).forEach((landmarks, frame) => {
+                assert.equal(controller.detectGesture(landmarks), gesture, `${name} frame ${frame}`);
+            });
+        });
+        
+        test(`${gesture}: ${orientation.replace('-', ' ')}, left hand`, () => {
+            frames(name).forEach((landmarks, frame) => {
+                assert.equal(detect(mirror(landmarks)), gesture, `${name} mirrored, frame ${frame}`);
+            });
+        });
+    });
+});
+
+test('distance from the camera does not change the gesture', () => {
+    GESTURES.forEach(gesture => {
+        const [landmarks] = frames(`${gesture}-upright`);
+        [0.4, 2.2].forEach(scale => {
+            assert.equal(detect(resize(landmarks, scale)), gesture, `${gesture} at scale ${scale}`);
+        });
+    });
+});
+
+test('flat palm tilted far toward the camera is still a palm, not curled', () => {
+    assert.equal(detect(tilt(frames('palm-upright')[0], Math.PI / 3)), 'palm');
+    assert.equal(detect(tilt(frames('palm-sideways')[0], -Math.PI / 3)), 'palm');
+});
+
+test('spreading a finger sideways is not counted as bending it', () => {
+    const controller = createController();
+    ['palm-upright', 'palm-fingers-down'].forEach(name => {
+        const [together] = frames(name);
+        [-0.35, 0.35].forEach(angle => {
+            const apart = spreadIndex(together, angle);
+            const difference = controller.getFingerCurl(apart, 'index') - controller.getFingerCurl(together, 'index');
+            assert.ok(Math.abs(difference) < 1, `${name}: index curl changed by ${difference.toFixed(1)}°`);
+            assert.equal(detect(apart), 'palm');
+        });
+    });
+});
+
+test('pinch is decided in palm lengths, whatever the hand size', () => {
+    ORIENTATIONS.forEach(orientation => {
+        const [hand] = frames(`pinch-${orientation}`);
+        [0.4, 1, 2.2].forEach(scale => {
+            const sized = resize(hand, scale);
+            assert.equal(detect(pinchGap(sized, 0.3)), 'pinch', `${orientation}, gap 0.3 at scale ${scale}`);
+            assert.notEqual(detect(pinchGap(sized, 0.55)), 'pinch', `${orientation}, gap 0.55 at scale ${scale}`);
+        });
+    });
+});
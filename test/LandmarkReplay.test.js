@@ -0,0 +1,145 @@
+/**
+ * 🧪 Landmark Replay
+ * A short recording stitched from the gesture fixtures, stepped through
+ * LandmarkReplay and wired into GestureController the way main.js wires a
+ * live tracker: the settled gestures must come out in order and the replay
+ * must end cleanly.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+// Calibration profiles are read from localStorage when the controller is built
+const storage = {};
+globalThis.localStorage = {
+    getItem: key => (key in storage ? storage[key] : null),
+    setItem: (key, value) => { storage[key] = String(value); },
+    removeItem: key => { delete storage[key]; }
+};
+
+// Hand positions are mapped onto the window for pointing
+globalThis.window = { innerWidth: 1280, innerHeight: 720 };
+
+const { GestureController } = await import('../js/GestureController.js');
+const { LandmarkReplay, parseRecording } = await import('../js/LandmarkRecording.js');
+const { CameraController } = await import('../js/CameraController.js');
+
+const FRAME_TIME = 16;
+
+function loadEvents(name) {
+    const recording = JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+    return recording.events;
+}
+
+// Sessions played back to back, with a gap between them; null for a lost hand
+function stitch(parts) {
+    const events = [];
+    let t = 0;
+    parts.forEach(part => {
+        if (part === null) {
+            events.push({ t, type: 'handLost' });
+            t += 100;
+            return;
+        }
+        
+        const session = loadEvents(part);
+        session.forEach(event => events.push({ ...event, t: t + event.t }));
+        t += session[session.length - 1].t + 50;
+    });
+    
+    return { version: 1, recordedAt: '2026-10-19T00:00:00.000Z', duration: events[events.length - 1].t, events };
+}
+
+// Just enough of SolarSystem for the gesture handlers to act on, with the real orbit camera
+function createSolarSystem() {
+    const calls = [];
+    const record = name => () => { calls.push(name); return null; };
+    const cameraOrbit = {
+        radius: 80,
+        theta: 0,
+        phi: Math.PI / 6,
+        targetRadius: 80,
+        targetTheta: 0,
+        targetPhi: Math.PI / 6
+    };
+    
+    return {
+        calls,
+        cameraMode: 'orbit',
+        cameraOrbit,
+        cameraController: new CameraController(cameraOrbit),
+        freeFlight: { setHandControl: record('setHandControl'), look: record('look') },
+        simulationClock: { setScrubRate: record('setScrubRate'), endScrub: record('endScrub') },
+        followingPlanet: null,
+        adjustPan: record('adjustPan'),
+        adjustRotation: record('adjustRotation'),
+        adjustZoom: record('adjustZoom'),
+        setZoom: record('setZoom'),
+        resetView: record('resetView'),
+        highlightPlanet: record('highlightPlanet'),
+        selectPlanet: record('selectPlanet'),
+        followPlanet: record('followPlanet'),
+        stopFollowing: record('stopFollowing'),
+        flyTo: record('flyTo'),
+        getPlanetAtScreenPosition: record('getPlanetAtScreenPosition'),
+        getNearestPlanetOnScreen: record('getNearestPlanetOnScreen')
+    };
+}
+
+function play(recording) {
+    const solarSystem = createSolarSystem();
+    const controller = new GestureController(solarSystem, {});
+    const replay = new LandmarkReplay(recording);
+    
+    const gestures = [];
+    const log = [];
+    let ended = 0;
+    controller.on('gesture', gesture => gestures.push(gesture));
+    replay.on('handDetected', hands => {
+        log.push('handDetected');
+        controller.processHands(hands);
+    });
+    replay.on('handLost', () => {
+        log.push('handLost');
+        controller.onHandLost();
+    });
+    replay.on('ended', () => {
+        log.push('ended');
+        ended++;
+    });
+    
+    // Step at a display's frame rate until the replay says it's done
+    for (let elapsed = 0; ended === 0 && elapsed <= recording.duration + 1000; elapsed += FRAME_TIME) {
+        replay.advance(FRAME_TIME);
+    }
+    
+    return { controller, solarSystem, replay, gestures, log, ended };
+}
+
+test('stitched recording is a valid recording', () => {
+    assert.doesNotThrow(() => parseRecording(stitch(['palm-tilted', 'point-upright'])));
+});
+
+test('replayed gestures reach the controller in order', () => {
+    const recording = stitch(['palm-tilted', 'point-upright', null, 'fist-sideways', 'time-upright', 'rotate-upright']);
+    const { gestures, ended } = play(recording);
+    
+    assert.deepEqual(gestures, ['palm', 'point', 'fist', 'time', 'rotate']);
+    assert.equal(ended, 1);
+});
+
+test('the end of a replay lets go of the hand once, then ends', () => {
+    const { controller, solarSystem, replay, log } = play(stitch(['time-upright']));
+    
+    // The recording stops mid-gesture, so the replay reports the hand lost itself
+    assert.deepEqual(log.slice(-2), ['handLost', 'ended']);
+    assert.equal(log.filter(entry => entry === 'ended').length, 1);
+    assert.equal(controller.currentGesture, null);
+    assert.ok(solarSystem.calls.includes('endScrub'), 'time scrubbing was not ended');
+    
+    // Nothing more once it's over
+    replay.advance(1000);
+    assert.equal(log.filter(entry => entry === 'ended').length, 1);
+    assert.equal(replay.isRunning, false);
+});
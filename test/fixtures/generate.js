@@ -0,0 +1,292 @@
+/**
+ * 🖐️ Reference Hand Sessions
+ * Writes the gesture fixtures that aren't camera captures. Each session is
+ * posed on an anatomical hand - measured bone lengths, arched knuckles and a
+ * thumb set from its CMC joint - seen through a 60° webcam, so the
+ * landmarks carry the perspective and depth a real tracker reports. Frames
+ * wobble the joints and drift the hand, and add the residual noise left
+ * after One-Euro smoothing.
+ *
+ * Run with `node test/fixtures/generate.js`. Only files this script wrote
+ * are replaced; captured sessions are left alone.
+ */
+
+import { writeFileSync, existsSync, readFileSync } from 'node:fs';
+
+const SOURCE = 'Reference hand model (test/fixtures/generate.js)';
+const FRAMES = 12;
+const FRAME_INTERVAL = 33.3;
+const ASPECT = 640 / 480;
+
+// Camera: wrist 45 cm away, a 60° vertical field of view
+const DISTANCE = 45;
+const FOCAL = 0.5 / Math.tan(Math.PI / 6);
+
+// Hand coordinates in cm: +x toward the thumb, +y along the fingers,
+// +z out of the back of the hand
+const FINGERS = {
+    index: { knuckle: [2.3, 9.0, 0.2], bones: [4.0, 2.3, 1.9], angle: 8 },
+    middle: { knuckle: [0.3, 9.4, 0.5], bones: [4.5, 2.7, 2.0], angle: 0 },
+    ring: { knuckle: [-1.6, 8.9, 0.4], bones: [4.2, 2.6, 2.0], angle: -6 },
+    pinky: { knuckle: [-3.3, 7.9, 0.0], bones: [3.4, 1.9, 1.8], angle: -14 }
+};
+const THUMB_CMC = [1.9, 2.3, -0.8];
+const THUMB_BONES = [4.3, 3.1, 2.5];
+
+// Thumb bone directions for each way it's held
+const THUMB_POSES = {
+    open: [[0.72, 0.62, -0.30], [0.62, 0.75, -0.20], [0.50, 0.85, -0.15]],
+    tucked: [[0.45, 0.70, -0.55], [-0.30, 0.55, -0.78], [-0.75, 0.20, -0.63]],
+    across: [[0.35, 0.80, -0.50], [-0.50, 0.60, -0.60], [-0.85, 0.35, -0.40]]
+};
+
+// Knuckle, middle and end joint flexion in degrees, and extra spread
+const STRAIGHT = { flex: [5, 8, 5], spread: 0 };
+const CURLED = { flex: [80, 100, 60], spread: 0 };
+
+const GESTURES = {
+    palm: {
+        thumb: 'open',
+        fingers: {
+            index: { flex: [5, 5, 3], spread: 6 },
+            middle: { flex: [5, 5, 3], spread: 0 },
+            ring: { flex: [5, 5, 3], spread: -5 },
+            pinky: { flex: [5, 5, 3], spread: -10 }
+        }
+    },
+    fist: {
+        thumb: 'tucked',
+        fingers: { index: CURLED, middle: CURLED, ring: CURLED, pinky: CURLED }
+    },
+    point: {
+        thumb: 'tucked',
+        fingers: { index: STRAIGHT, middle: CURLED, ring: CURLED, pinky: CURLED }
+    },
+    time: {
+        thumb: 'tucked',
+        fingers: {
+            index: { flex: [5, 8, 5], spread: 12 },
+            middle: { flex: [5, 8, 5], spread: -10 },
+            ring: CURLED,
+            pinky: CURLED
+        }
+    },
+    // Relaxed open hand, fingers together and the thumb laid across the palm
+    rotate: {
+        thumb: 'across',
+        fingers: {
+            index: { flex: [15, 20, 10], spread: -4 },
+            middle: { flex: [15, 20, 10], spread: 0 },
+            ring: { flex: [15, 20, 10], spread: 3 },
+            pinky: { flex: [15, 20, 10], spread: 6 }
+        }
+    },
+    // Thumb tip brought onto the index fingertip, the other fingers loose
+    pinch: {
+        thumb: 'index',
+        fingers: {
+            index: { flex: [35, 45, 25], spread: 0 },
+            middle: { flex: [20, 25, 15], spread: 0 },
+            ring: { flex: [25, 30, 20], spread: 0 },
+            pinky: { flex: [30, 35, 20], spread: 0 }
+        }
+    }
+};
+
+// Roll about the camera axis, then the top of the hand tipped away (pitch)
+// and turned (yaw), in degrees; the palm faces the camera
+const ORIENTATIONS = {
+    upright: { roll: 0, pitch: 10, yaw: 0 },
+    sideways: { roll: 90, pitch: 10, yaw: 0 },
+    'fingers-down': { roll: 180, pitch: 10, yaw: 0 },
+    tilted: { roll: 15, pitch: 40, yaw: 25 }
+};
+
+const radians = degrees => degrees * Math.PI / 180;
+
+function add(a, b) {
+    return a.map((value, i) => value + b[i]);
+}
+
+function scale(a, s) {
+    return a.map(value => value * s);
+}
+
+function normalize(a) {
+    const length = Math.hypot(...a);
+    return scale(a, 1 / length);
+}
+
+// Deterministic noise, so regenerating gives the same files
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    next.gaussian = () => Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next());
+    return next;
+}
+
+function seedFor(name) {
+    return [...name].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261);
+}
+
+function fingerChain(finger, pose, wobble) {
+    const { knuckle, bones, angle } = FINGERS[finger];
+    const azimuth = radians(angle + pose.spread);
+    const along = [Math.sin(azimuth), Math.cos(azimuth), 0];
+    const points = [knuckle];
+    
+    // Each joint bends the rest of the finger toward the palm (-z)
+    let flexion = 0;
+    pose.flex.forEach((degrees, i) => {
+        flexion += radians(Math.max(0, degrees + wobble[i]));
+        const direction = add(scale(along, Math.cos(flexion)), [0, 0, -Math.sin(flexion)]);
+        points.push(add(points[i], scale(direction, bones[i])));
+    });
+    
+    return points;
+}
+
+function thumbChain(directions) {
+    const points = [THUMB_CMC];
+    directions.forEach((direction, i) => {
+        points.push(add(points[i], scale(normalize(direction), THUMB_BONES[i])));
+    });
+    return points;
+}
+
+// Thumb bowed out from its CMC joint so the tip rests against the index fingertip
+function pinchingThumb(indexTip) {
+    const tip = add(indexTip, [0.3, 0, -0.4]);
+    const chord = tip.map((value, i) => value - THUMB_CMC[i]);
+    const length = Math.hypot(...chord);
+    const outward = normalize([1, -0.2, -0.4]);
+    
+    return [
+        THUMB_CMC,
+        add(THUMB_CMC, add(scale(chord, 0.45), scale(outward, length * 0.18))),
+        add(THUMB_CMC, add(scale(chord, 0.75), scale(outward, length * 0.12))),
+        tip
+    ];
+}
+
+function buildHand(gesture, wobble) {
+    const { thumb, fingers } = GESTURES[gesture];
+    const chains = {};
+    Object.entries(fingers).forEach(([finger, pose], i) => {
+        chains[finger] = fingerChain(finger, pose, wobble.slice(i * 3, i * 3 + 3));
+    });
+    
+    const thumbPoints = thumb === 'index'
+        ? pinchingThumb(chains.index[3])
+        : thumbChain(THUMB_POSES[thumb]);
+    
+    // MediaPipe order: wrist, thumb, index, middle, ring, pinky
+    return [[0, 0, 0], ...thumbPoints, ...chains.index, ...chains.middle, ...chains.ring, ...chains.pinky];
+}
+
+function rotate(point, { roll, pitch, yaw }) {
+    let [x, y, z] = point;
+    
+    // Yaw about the hand's long axis, pitch about its width, then roll
+    const cy = Math.cos(radians(yaw));
+    const sy = Math.sin(radians(yaw));
+    [x, z] = [x * cy + z * sy, -x * sy + z * cy];
+    
+    const cp = Math.cos(radians(pitch));
+    const sp = Math.sin(radians(pitch));
+    [y, z] = [y * cp - z * sp, y * sp + z * cp];
+    
+    const cr = Math.cos(radians(roll));
+    const sr = Math.sin(radians(roll));
+    [x, y] = [x * cr - y * sr, x * sr + y * cr];
+    
+    return [x, y, z];
+}
+
+// Hand coordinates to normalized image coordinates for an unmirrored webcam
+function project(points, orientation, offset) {
+    const camera = points.map(point => {
+        const [x, y, z] = rotate(point, orientation);
+        // Palm toward the lens: the thumb is on the image's left, fingers up
+        return [-x, -y, z];
+    });
+    
+    // Keep the middle of the palm in the middle of the picture
+    const center = scale(add(camera[0], camera[9]), 0.5);
+    
+    return camera.map(([x, y, z]) => {
+        const depth = DISTANCE + z - center[2];
+        const perspective = FOCAL / depth;
+        return [
+            0.5 + offset[0] + (x - center[0]) * perspective / ASPECT,
+            0.5 + offset[1] + (y - center[1]) * perspective,
+            (z - camera[0][2]) * FOCAL / DISTANCE / ASPECT
+        ];
+    });
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+function createSession(gesture, orientationName) {
+    const random = createRandom(seedFor(`${gesture}-${orientationName}`));
+    const base = ORIENTATIONS[orientationName];
+    const phases = Array.from({ length: 16 }, () => random() * Math.PI * 2);
+    
+    const events = [];
+    let t = 0;
+    for (let frame = 0; frame < FRAMES; frame++) {
+        const phase = frame / FRAMES * Math.PI * 2;
+        const wobble = phases.slice(0, 12).map(start => Math.sin(phase + start) * 3);
+        const orientation = {
+            roll: base.roll + Math.sin(phase + phases[12]) * 3,
+            pitch: base.pitch + Math.sin(phase + phases[13]) * 3,
+            yaw: base.yaw + Math.sin(phase + phases[14]) * 3
+        };
+        const offset = [Math.sin(phase + phases[15]) * 0.01, Math.cos(phase + phases[15]) * 0.01];
+        
+        const landmarks = project(buildHand(gesture, wobble), orientation, offset).map(([x, y, z]) => [
+            round(x + random.gaussian() * 0.0012),
+            round(y + random.gaussian() * 0.0012),
+            round(z + random.gaussian() * 0.002)
+        ]);
+        
+        events.push({ t: Math.round(t), type: 'handDetected', hands: [{ handedness: 'Right', landmarks }] });
+        t += FRAME_INTERVAL + (random() - 0.5) * 6;
+    }
+    
+    return {
+        version: 1,
+        recordedAt: '2026-10-19T00:00:00.000Z',
+        duration: events[events.length - 1].t,
+        source: `${SOURCE}: ${gesture}, ${orientationName.replace('-', ' ')}`,
+        events
+    };
+}
+
+// One event per line keeps the files diffable
+function format(recording) {
+    const { events, ...header } = recording;
+    const head = JSON.stringify(header, null, 4).slice(0, -2);
+    const lines = events.map(event => `        ${JSON.stringify(event)}`);
+    return `${head},\n    "events": [\n${lines.join(',\n')}\n    ]\n}\n`;
+}
+
+const directory = new URL('./', import.meta.url);
+Object.keys(GESTURES).forEach(gesture => {
+    Object.keys(ORIENTATIONS).forEach(orientation => {
+        const name = `${gesture}-${orientation}`;
+        const file = new URL(`${name}.json`, directory);
+        if (existsSync(file) && !readFileSync(file, 'utf8').includes(SOURCE)) {
+            return;
+        }
+        writeFileSync(file, format(createSession(gesture, orientation)));
+    });
+});